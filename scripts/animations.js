@@ -7,6 +7,8 @@
  * - Intersection Observer for scroll reveal animations
  * - Navigation scroll effects
  * - Smooth scroll for anchor links
+ * - Hash navigation: deep links on load, back/forward, and a quiet hash
+ *   update for the section in view
  * - Mobile navigation toggle
  * 
  * PERFORMANCE NOTES:
@@ -29,9 +31,12 @@ let revealsDisabled = false;
 /**
  * Write the stagger index onto each child of a group so CSS can turn it into
  * a transition delay via `calc(var(--i) * var(--stagger))`.
+ * @param {Element} group - The data-stagger parent
+ * @param {number} [from=0] - First child to index; it gets --i: 0, so a batch
+ *   appended to an existing group staggers as its own sequence
  */
-function indexStaggerGroup(group) {
-    Array.from(group.children).forEach((child, i) => {
+function indexStaggerGroup(group, from = 0) {
+    Array.from(group.children).slice(from).forEach((child, i) => {
         child.style.setProperty('--i', i);
     });
 }
@@ -54,11 +59,16 @@ function observeReveals(elements) {
  * Register reveal targets inside a subtree that was added to the DOM after
  * load. Called by github-api.js once the repo cards are rendered.
  * @param {Element} root - Container whose children should animate in
+ * @param {number} [from=0] - Only register children from this index on, for
+ *   content appended after cards that are already on screen
  */
-function registerReveals(root) {
+function registerReveals(root, from = 0) {
     if (!root) return;
-    if (root.hasAttribute('data-stagger')) indexStaggerGroup(root);
-    observeReveals(Array.from(root.querySelectorAll('[data-reveal]')));
+    if (root.hasAttribute('data-stagger')) indexStaggerGroup(root, from);
+
+    const added = Array.from(root.children).slice(from);
+    observeReveals(Array.from(root.querySelectorAll('[data-reveal]'))
+        .filter(el => added.some(child => child.contains(el))));
 }
 
 /**
@@ -69,7 +79,7 @@ function registerReveals(root) {
  * `data-stagger` gets its children indexed into `--i`.
  */
 function initScrollAnimations() {
-    document.querySelectorAll('[data-stagger]').forEach(indexStaggerGroup);
+    document.querySelectorAll('[data-stagger]').forEach(group => indexStaggerGroup(group));
 
     const revealTargets = Array.from(document.querySelectorAll('[data-reveal]'));
     revealsDisabled =
@@ -174,6 +184,104 @@ function initNavScrollEffect() {
     updateNav();
 }
 
+/* True while a click, deep link or back/forward is scrolling to its target,
+   so the scroll spy does not rewrite the hash on the way past other sections */
+let navigationInProgress = false;
+let navigationTimer = null;
+
+/* The last full hash seen for each section id. A section can keep extra state
+   in its hash (the repo grid's `#github-repos?q=…`); this brings it back when
+   the scroll spy returns to that section. */
+const sectionHashes = new Map();
+
+/**
+ * Find the element a hash points at. Anything after `?` belongs to the
+ * section itself (see writeRepoFilterToHash() in github-api.js).
+ * @param {string} hash - e.g. '#projects' or '#github-repos?lang=Rust'
+ * @returns {Element|null}
+ */
+function getHashTarget(hash) {
+    const id = hash.slice(1).split('?')[0];
+    if (!id) return null;
+    try {
+        return document.getElementById(decodeURIComponent(id));
+    } catch (error) {
+        return null; // Malformed escape in a hand-typed URL
+    }
+}
+
+/**
+ * Keep the scroll spy quiet until the current programmatic scroll settles
+ */
+function holdScrollSpy() {
+    navigationInProgress = true;
+    clearTimeout(navigationTimer);
+
+    const release = () => {
+        clearTimeout(navigationTimer);
+        window.removeEventListener('scrollend', release);
+        navigationInProgress = false;
+    };
+    window.addEventListener('scrollend', release);
+    // No scrollend (older browsers, or nothing to scroll): give up after a second
+    navigationTimer = setTimeout(release, 1000);
+}
+
+/**
+ * Scroll an element to just below the fixed status bar
+ * @param {Element} target
+ * @param {Object} [options]
+ * @param {boolean} [options.smooth=true] - Animate (never under reduced motion)
+ */
+function scrollToTarget(target, { smooth = true } = {}) {
+    const navHeight = document.querySelector('.nav')?.offsetHeight || 0;
+    const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - navHeight;
+    const reduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    holdScrollSpy();
+    window.scrollTo({
+        top: targetPosition,
+        behavior: smooth && !reduced ? 'smooth' : 'auto'
+    });
+}
+
+/**
+ * Move focus to a navigation target, so screen readers continue from there:
+ * a section's heading, or the element itself for anything else
+ * @param {Element} target
+ */
+function focusTarget(target) {
+    const heading = target.matches('section') ? target.querySelector('h1, h2') : null;
+    const el = heading || target;
+
+    if (!el.matches('a[href], button, input, select, textarea, [tabindex]')) {
+        el.setAttribute('tabindex', '-1');
+    }
+    // The scroll is already under way; focusing must not jump it
+    el.focus({ preventScroll: true });
+}
+
+/**
+ * Go to the element a hash points at: scroll with the status-bar offset and
+ * move focus there
+ * @param {string} hash
+ * @param {Object} [options]
+ * @param {boolean} [options.push=false] - Add a history entry for it
+ * @param {boolean} [options.smooth=true]
+ * @returns {boolean} Whether the hash had a target
+ */
+function navigateToHash(hash, { push = false, smooth = true } = {}) {
+    const target = getHashTarget(hash);
+    if (!target) return false;
+
+    scrollToTarget(target, { smooth });
+    focusTarget(target);
+
+    // Update URL without jumping
+    if (push && hash !== window.location.hash) history.pushState(null, '', hash);
+    return true;
+}
+
 /**
  * Initialize smooth scroll for anchor links
  */
@@ -185,32 +293,74 @@ function initSmoothScroll() {
             // Skip if it's just "#"
             if (targetId === '#') return;
 
-            const targetElement = document.querySelector(targetId);
-
-            if (targetElement) {
+            if (navigateToHash(targetId, { push: true })) {
                 e.preventDefault();
 
                 // Close mobile nav if open
                 const navLinks = document.querySelector('.nav-links');
                 if (navLinks) navLinks.classList.remove('open');
-
-                // Clear the fixed status bar
-                const navHeight = document.querySelector('.nav')?.offsetHeight || 0;
-                const targetPosition = targetElement.getBoundingClientRect().top
-                    + window.pageYOffset - navHeight;
-
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: 'smooth'
-                });
-
-                // Update URL without jumping
-                history.pushState(null, null, targetId);
             }
         });
     });
 }
 
+/**
+ * Honour the hash on load and on back/forward. The browser's own jump to a
+ * fragment ignores the fixed status bar and leaves focus where it was.
+ */
+function initHashNavigation() {
+    const initialTarget = getHashTarget(window.location.hash);
+    if (initialTarget) {
+        navigateToHash(window.location.hash, { smooth: false });
+
+        // Late images and fonts move things; settle again unless the visitor
+        // has scrolled since
+        const settledAt = window.scrollY;
+        window.addEventListener('load', () => {
+            if (window.scrollY === settledAt) scrollToTarget(initialTarget, { smooth: false });
+        }, { once: true });
+    }
+
+    // Back/forward fires popstate and, when the hash differs, hashchange as
+    // well; an edited URL fires only hashchange. Handle each move once.
+    let pending = false;
+    const onHistoryMove = () => {
+        if (pending) return;
+        pending = true;
+        requestAnimationFrame(() => {
+            pending = false;
+            if (navigateToHash(window.location.hash)) return;
+            // The entry with no hash is the top of the page
+            holdScrollSpy();
+            window.scrollTo({ top: 0, behavior: 'auto' });
+        });
+    };
+    window.addEventListener('popstate', onHistoryMove);
+    window.addEventListener('hashchange', onHistoryMove);
+}
+
+/**
+ * Point the hash at the section in view, without a history entry per section.
+ * The first section (the hero) is the bare URL.
+ * @param {string} id - The section in view
+ */
+function updateHashQuietly(id) {
+    if (navigationInProgress) return;
+
+    const current = window.location.hash;
+    const currentId = current.slice(1).split('?')[0];
+    if (currentId === id) return;
+    if (currentId) sectionHashes.set(currentId, current);
+
+    const first = document.querySelector('section[id]');
+    if (first && first.id === id) {
+        if (current) history.replaceState(history.state, '', window.location.pathname + window.location.search);
+        return;
+    }
+
+    history.replaceState(history.state, '', sectionHashes.get(id) || '#' + id);
+}
+
 /**
  * Initialize mobile navigation toggle
  */
@@ -244,7 +394,8 @@ function initMobileNav() {
 }
 
 /**
- * Highlight the current section in the status bar as the focused workspace.
+ * Highlight the current section in the status bar as the focused workspace,
+ * and keep the hash pointing at it.
  */
 function initActiveNavHighlight() {
     const sections = document.querySelectorAll('section[id]');
@@ -256,6 +407,7 @@ function initActiveNavHighlight() {
         entries.forEach(entry => {
             if (!entry.isIntersecting) return;
             const id = entry.target.getAttribute('id');
+            updateHashQuietly(id);
 
             navLinks.forEach(link => {
                 const isCurrent = link.getAttribute('href') === '#' + id;
@@ -325,6 +477,7 @@ function initAnimations() {
     initScrollAnimations();
     initNavScrollEffect();
     initSmoothScroll();
+    initHashNavigation();
     initMobileNav();
     initActiveNavHighlight();
     initStatusBarClock();
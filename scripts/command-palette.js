@@ -0,0 +1,459 @@
+/**
+ * ============================================================================
+ * COMMAND-PALETTE.JS - Ctrl+K / "/" search across the whole page
+ * ============================================================================
+ *
+ * A term-window overlay with one prompt. What it searches is rebuilt each
+ * time it opens, so repos fetched after page load are included:
+ * - section headings                 -> scroll there
+ * - .project-card titles and tags    -> scroll to the card
+ * - .skill-tag and .experience-card  -> scroll to it
+ * - repos from every repo grid       -> open its README drawer (or GitHub)
+ * - actions: theme, copy email, refresh repos
+ *
+ * MATCHING: fuzzy, as in most editors' "go to file": the query's letters must
+ * appear in order, and runs of consecutive letters and word starts score
+ * higher. Matched letters are highlighted. Tags and descriptions are searched
+ * too, but only the title is highlighted.
+ *
+ * ACCESSIBILITY: the input is an ARIA 1.2 combobox controlling a listbox;
+ * the active option is followed with aria-activedescendant, so focus never
+ * leaves the input. The result count is announced through a status line.
+ *
+ * TO REMOVE: drop the <script> and <link> tags for this file and its
+ * stylesheet, and the #palette block in index.html. Nothing else references
+ * it. It needs scripts/dom.js and scripts/animations.js; theme and repo
+ * entries appear only when theme-toggle.js and github-api.js are loaded.
+ * ============================================================================
+ */
+
+const PALETTE_MAX_RESULTS = 50;
+
+/* Shown for each kind of result, right-aligned in its row */
+const PALETTE_KINDS = {
+    section: 'section',
+    project: 'project',
+    skill: 'skill',
+    experience: 'experience',
+    repo: 'repo',
+    action: 'action'
+};
+
+/* Focus in one of these means "/" belongs to something else: a text field,
+   the contact TUI list, or another open dialog */
+const PALETTE_SLASH_EXEMPT = [
+    'input',
+    'textarea',
+    'select',
+    '[contenteditable]:not([contenteditable="false"])',
+    '.tui-list',
+    '[role="dialog"]'
+].join(', ');
+
+/**
+ * Scroll to an element and focus it, the way a nav link click does
+ * @param {Element} el
+ */
+function goToElement(el) {
+    if (typeof scrollToTarget === 'function') {
+        scrollToTarget(el);
+        focusTarget(el);
+    } else {
+        el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Everything the palette can find, read from the page as it is now
+ * @returns {Array<Object>} Entries: { kind, title, detail, keywords, run }
+ */
+function buildPaletteIndex() {
+    const entries = [];
+
+    document.querySelectorAll('section[id]').forEach(section => {
+        const heading = section.querySelector('h1, h2');
+        if (!heading) return;
+        entries.push({
+            kind: 'section',
+            title: cleanText(heading),
+            detail: '#' + section.id,
+            keywords: section.id,
+            run: () => navigateToHash('#' + section.id, { push: true })
+        });
+    });
+
+    document.querySelectorAll('.project-card').forEach(card => {
+        const title = cleanText(card.querySelector('.project-card-title'));
+        if (!title) return;
+        const tags = Array.from(card.querySelectorAll('.tech-tag')).map(cleanText);
+        entries.push({
+            kind: 'project',
+            title,
+            detail: tags.join(' · '),
+            keywords: tags.join(' '),
+            run: () => goToElement(card)
+        });
+    });
+
+    document.querySelectorAll('.skill-tag').forEach(tag => {
+        const category = cleanText(tag.closest('.skill-category')?.querySelector('.skill-category-title'));
+        entries.push({
+            kind: 'skill',
+            title: cleanText(tag),
+            detail: category,
+            keywords: category,
+            run: () => goToElement(tag.closest('.skill-category') || tag)
+        });
+    });
+
+    document.querySelectorAll('.experience-card').forEach(card => {
+        const title = cleanText(card.querySelector('.experience-title'));
+        if (!title) return;
+        const tags = Array.from(card.querySelectorAll('.experience-tag')).map(cleanText);
+        entries.push({
+            kind: 'experience',
+            title,
+            detail: cleanText(card.querySelector('.experience-date')),
+            keywords: tags.join(' '),
+            run: () => goToElement(card)
+        });
+    });
+
+    // Every repo grid's full list, not just the cards currently drawn
+    const seen = new Set();
+    (typeof repoGrids !== 'undefined' ? repoGrids : []).forEach(grid => {
+        grid.getRepos().forEach(repo => {
+            if (seen.has(repo.full_name)) return;
+            seen.add(repo.full_name);
+            entries.push({
+                kind: 'repo',
+                title: repo.name,
+                detail: [repo.language, repo.description].filter(Boolean).join(' · '),
+                keywords: [repo.full_name, ...(repo.topics || [])].join(' '),
+                run: () => {
+                    // A drawn card opens the README drawer; otherwise go to GitHub
+                    const card = document.querySelector(`.repo-card[data-repo="${CSS.escape(repo.full_name)}"]`);
+                    if (card) card.click();
+                    else window.open(repo.html_url, '_blank', 'noopener');
+                }
+            });
+        });
+    });
+
+    entries.push(...buildPaletteActions());
+    return entries;
+}
+
+/**
+ * Actions. Those that return a string keep the palette open to show it.
+ * @returns {Array<Object>}
+ */
+function buildPaletteActions() {
+    const actions = [];
+
+    if (typeof toggleTheme === 'function') {
+        actions.push({
+            kind: 'action',
+            title: 'Toggle theme',
+            detail: 'dark → light → system',
+            keywords: 'mode dark light system colour color',
+            run: () => toggleTheme()
+        });
+    }
+
+    if (typeof THEMES !== 'undefined' && typeof setTheme === 'function') {
+        Object.keys(THEMES).forEach(name => {
+            actions.push({
+                kind: 'action',
+                title: `Theme: ${THEMES[name].label}`,
+                detail: THEMES[name].mode,
+                keywords: `flavour ${name}`,
+                run: () => setTheme(name)
+            });
+        });
+    }
+
+    const mail = document.querySelector('a[href^="mailto:"]');
+    if (mail) {
+        const email = mail.getAttribute('href').slice('mailto:'.length).split('?')[0];
+        actions.push({
+            kind: 'action',
+            title: 'Copy email',
+            detail: email,
+            keywords: 'contact mail clipboard',
+            run: async () => {
+                try {
+                    await navigator.clipboard.writeText(email);
+                    return `Copied ${email}`;
+                } catch (error) {
+                    return `Couldn't copy; the address is ${email}`;
+                }
+            }
+        });
+    }
+
+    if (typeof refreshGitHubRepos === 'function') {
+        actions.push({
+            kind: 'action',
+            title: 'Refresh repos',
+            detail: 'fetch the repo list from GitHub again',
+            keywords: 'github reload update',
+            run: () => {
+                refreshGitHubRepos();
+                return 'Refreshing repositories…';
+            }
+        });
+    }
+
+    return actions;
+}
+
+/**
+ * Fuzzy-match a query against a string. Positions count code points, the
+ * same way highlightMatch() walks the title, so an emoji before a match does
+ * not shift the highlight.
+ * @param {string} query - Lower-case, no spaces
+ * @param {string} text
+ * @returns {Object|null} { score, positions } or null if the letters are not all there in order
+ */
+function fuzzyMatch(query, text) {
+    // Lower-cased one code point at a time so indices stay aligned with the title
+    const chars = Array.from(text, char => char.toLowerCase());
+    const positions = [];
+    let score = 0;
+    let from = 0;
+
+    for (const char of query) {
+        const at = chars.indexOf(char, from);
+        if (at === -1) return null;
+
+        const previous = positions[positions.length - 1];
+        if (previous !== undefined && at === previous + 1) score += 5; // Consecutive
+        if (at === 0 || /[\s\-_./·#]/.test(chars[at - 1])) score += 3; // Word start
+        score -= Math.min(at - from, 5) * 0.5; // Gap since the last match
+
+        positions.push(at);
+        from = at + 1;
+    }
+
+    // Prefer shorter titles when everything else is equal
+    return { score: score - chars.length * 0.01, positions };
+}
+
+/**
+ * Rank entries for a query
+ * @param {Array<Object>} index - From buildPaletteIndex()
+ * @param {string} rawQuery
+ * @returns {Array<Object>} { entry, positions } best first
+ */
+function searchPalette(index, rawQuery) {
+    const query = rawQuery.toLowerCase().replace(/\s+/g, '');
+
+    // No query: the sections and actions, as a menu
+    if (!query) {
+        return index
+            .filter(entry => entry.kind === 'section' || entry.kind === 'action')
+            .map(entry => ({ entry, positions: [], score: 0 }));
+    }
+
+    const results = [];
+    index.forEach(entry => {
+        const title = fuzzyMatch(query, entry.title);
+        const extra = title ? null : fuzzyMatch(query, `${entry.detail} ${entry.keywords}`);
+        if (title) results.push({ entry, positions: title.positions, score: title.score + 10 });
+        else if (extra) results.push({ entry, positions: [], score: extra.score });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, PALETTE_MAX_RESULTS);
+}
+
+/**
+ * A title with its matched letters in <mark>
+ * @param {string} text
+ * @param {Array<number>} positions
+ * @returns {Array<Node|string>}
+ */
+function highlightMatch(text, positions) {
+    const marked = new Set(positions);
+    const parts = [];
+    let run = '';
+    let inMark = false;
+
+    const flush = () => {
+        if (!run) return;
+        parts.push(inMark ? createEl('mark', {}, run) : run);
+        run = '';
+    };
+
+    Array.from(text).forEach((char, i) => {
+        if (marked.has(i) !== inMark) {
+            flush();
+            inMark = marked.has(i);
+        }
+        run += char;
+    });
+    flush();
+    return parts;
+}
+
+/**
+ * Wire the palette overlay
+ * @param {Element} overlay - #palette
+ */
+function initPalette(overlay) {
+    const panel = overlay.querySelector('.palette-panel');
+    const input = overlay.querySelector('.palette-input');
+    const list = overlay.querySelector('.palette-results');
+    const status = overlay.querySelector('.palette-status');
+
+    let index = [];
+    let results = [];
+    let active = 0;
+    let returnFocus = null;
+
+    function setActive(next) {
+        if (results.length === 0) {
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        active = (next + results.length) % results.length;
+
+        Array.from(list.children).forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === active));
+        });
+        const option = list.children[active];
+        input.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+    }
+
+    function render() {
+        results = searchPalette(index, input.value);
+
+        list.replaceChildren(...results.map(({ entry, positions }, i) => createEl('li', {
+            id: `palette-option-${i}`,
+            class: 'palette-option',
+            role: 'option',
+            'aria-selected': 'false',
+            'data-kind': entry.kind
+        },
+            createEl('span', { class: 'palette-option-title' }, ...highlightMatch(entry.title, positions)),
+            entry.detail ? createEl('span', { class: 'palette-option-detail' }, entry.detail) : null,
+            createEl('span', { class: 'palette-option-kind' }, PALETTE_KINDS[entry.kind])
+        )));
+
+        status.textContent = results.length === 0
+            ? 'No matches.'
+            : `${results.length} result${results.length === 1 ? '' : 's'}.`;
+        setActive(0);
+    }
+
+    function open() {
+        if (!overlay.hidden) return;
+        returnFocus = document.activeElement;
+        index = buildPaletteIndex();
+        input.value = '';
+        overlay.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        render();
+        input.focus();
+    }
+
+    function close() {
+        if (overlay.hidden) return;
+        overlay.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        if (returnFocus && returnFocus.isConnected && returnFocus !== document.body) returnFocus.focus();
+        returnFocus = null;
+    }
+
+    async function runResult(i) {
+        const result = results[i];
+        if (!result) return;
+
+        // Close first: whatever the entry does next (scroll, focus, open the
+        // README drawer) happens on the page, not behind the overlay
+        if (result.entry.kind !== 'action') {
+            close();
+            result.entry.run();
+            return;
+        }
+
+        const message = await result.entry.run();
+        if (message) status.textContent = message;
+        else close();
+    }
+
+    input.addEventListener('input', render);
+
+    input.addEventListener('keydown', (e) => {
+        switch (e.key) {
+            case 'ArrowDown':
+                setActive(active + 1);
+                break;
+            case 'ArrowUp':
+                setActive(active - 1);
+                break;
+            case 'Enter':
+                runResult(active);
+                break;
+            case 'Escape':
+                close();
+                break;
+            case 'Tab':
+                // The input is the only stop; the list is reached by arrows
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    });
+
+    list.addEventListener('mousemove', (e) => {
+        const option = e.target.closest('.palette-option');
+        if (option) {
+            const i = Array.prototype.indexOf.call(list.children, option);
+            if (i !== active) setActive(i);
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const option = e.target.closest('.palette-option');
+        if (option) runResult(Array.prototype.indexOf.call(list.children, option));
+    });
+
+    // The backdrop is the overlay element itself; the panel stops short of it
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+
+    // Keep clicks inside the panel from leaving the input
+    panel.addEventListener('mousedown', (e) => {
+        if (e.target !== input) e.preventDefault();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented) return;
+
+        const isShortcut = (e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k';
+        const isSlash = e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey &&
+            !(e.target instanceof Element && e.target.closest(PALETTE_SLASH_EXEMPT));
+
+        if (isShortcut && !overlay.hidden) {
+            e.preventDefault();
+            close();
+        } else if (isShortcut || isSlash) {
+            e.preventDefault();
+            open();
+        }
+    });
+}
+
+/**
+ * Initialize the command palette
+ */
+function initCommandPalette() {
+    const overlay = document.getElementById('palette');
+    if (overlay) initPalette(overlay);
+}
+
+document.addEventListener('DOMContentLoaded', initCommandPalette);
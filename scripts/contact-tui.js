@@ -1,24 +1,501 @@
 /**
  * ============================================================================
- * CONTACT-TUI.JS - Arrow-key navigation for the contact menu
+ * CONTACT-TUI.JS - Vim-style keys for the contact menu
  * ============================================================================
  *
  * Progressive enhancement only. Without this file the rows are still ordinary
  * links: Tab reaches them, Enter follows them, hover and focus still highlight
- * them. This adds the part that makes it behave like an actual TUI - Up/Down
- * moving a cursor - so the keybind hints in the markup are truthful.
+ * them. This adds the part that makes it behave like an actual TUI.
  *
- * Implemented as a roving tabindex, the standard pattern for a composite
- * widget: the list is one Tab stop, and arrows move within it. That is fewer
- * tab stops than before, not more.
+ * The cursor is a createTuiList() from scripts/tui-list.js, a roving
+ * tabindex: the list is one Tab stop, and keys move within it. Keys are only
+ * intercepted while focus is inside the list, so page scrolling is never
+ * hijacked.
  *
- * Arrow keys are only intercepted while focus is inside the list, so page
- * scrolling is never hijacked.
+ * MODES, shown in .tui-status-mode:
+ * - NORMAL   the keys in TUI_KEYMAP; a count prefix repeats a motion (3j)
+ *            or picks a row (2G)
+ * - SEARCH   "/" filters the rows as you type; Enter keeps the filter,
+ *            Esc drops it
+ * - COMMAND  ":" reads a command from the statusline (TUI_COMMANDS)
+ * - COMPOSE  Enter or "c" on the email row swaps the list for the
+ *            .tui-compose form; Ctrl+Enter sends, Esc goes back
  *
- * TO REMOVE: drop the <script> tag. Nothing else references this.
+ * COMPOSE sends one of two ways. With data-endpoint on the form it POSTs the
+ * fields as JSON there (tools/compose-stub-server.js stands in for a real
+ * backend locally); without one it opens a mailto: link with everything
+ * encoded. Errors are shown in the statusline. The draft is kept in
+ * localStorage until a POST succeeds or it is discarded, so a reload does not
+ * lose it. A mailto: hand-off keeps it too: there is no telling whether a
+ * mail app actually picked the link up.
+ *
+ * EXPORT: "v" (or the "save .vcf" button) downloads the rows as a vCard
+ * 4.0 file. "q" opens #contact-qr with a QR code of the selected row's link,
+ * and can switch to one of the whole vCard, so a phone can scan either. The
+ * encoder is scripts/qr-code.js; without it the QR key and button stay off.
+ *
+ * Results ("yanked email") go to .tui-status-msg, which is a live region.
+ * The .tui-keys hints are generated from TUI_KEYMAP, so they can never
+ * disagree with what the keys do.
+ *
+ * CUSTOMIZATION: add a binding to TUI_KEYMAP or a command to TUI_COMMANDS;
+ * give a binding a `hint` and it appears under the frame. The compose rules
+ * are in COMPOSE_FIELDS; the endpoint is data-endpoint in index.html. The
+ * vCard's name comes from <meta name="author">, its lines from the rows.
+ *
+ * TO REMOVE: drop the <script> tag, the .tui-compose form, the .tui-actions
+ * buttons and the #contact-qr overlay. Nothing else references this. It
+ * needs scripts/dom.js and scripts/tui-list.js, and uses scripts/qr-code.js
+ * when it is loaded.
  * ============================================================================
  */
 
+const TUI_MODES = { normal: 'NORMAL', search: 'SEARCH', command: 'COMMAND', compose: 'COMPOSE' };
+
+const COMPOSE_DRAFT_KEY = 'portfolio_contact_draft';
+const COMPOSE_MAILTO_MAX = 2000; // Longer mailto: URLs get truncated or refused by some mail clients
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const VCARD_LINE_OCTETS = 75; // RFC 6350 folds content lines longer than this
+
+/* One rule per form field, by name; each returns an error message or null */
+const COMPOSE_FIELDS = {
+    name: value => !value ? 'name: required'
+        : value.length > 100 ? 'name: 100 characters at most' : null,
+    replyTo: value => !value ? 'reply-to: required, so I can answer'
+        : !EMAIL_PATTERN.test(value) ? `reply-to: '${value}' is not an email address` : null,
+    subject: value => !value ? 'subject: required'
+        : value.length > 150 ? 'subject: 150 characters at most' : null,
+    body: value => value.length < 10 ? 'body: a few words at least'
+        : value.length > 5000 ? 'body: 5000 characters at most' : null
+};
+
+/**
+ * NORMAL-mode bindings. `keys` are KeyboardEvent.key values, with a space
+ * between the keys of a sequence ("g g"). run(tui, count) gets the count
+ * prefix, or null when none was typed. `hint` is what the hint line shows.
+ */
+const TUI_KEYMAP = [
+    { keys: ['j', 'ArrowDown'], hint: ['j', 'k'], label: 'move', run: (tui, count) => tui.moveBy(count || 1, count !== null) },
+    { keys: ['k', 'ArrowUp'], run: (tui, count) => tui.moveBy(-(count || 1), count !== null) },
+    { keys: ['g g', 'Home'], hint: ['gg', 'G'], label: 'top / end', run: (tui, count) => tui.moveTo(count ? count - 1 : 0) },
+    { keys: ['G', 'End'], run: (tui, count) => tui.moveTo(count ? count - 1 : Infinity) },
+    { keys: ['Enter'], hint: ['↵'], label: 'open', run: tui => tui.open() },
+    { keys: ['y'], hint: ['y'], label: 'yank', run: tui => tui.yank() },
+    { keys: ['c'], hint: ['c'], label: 'compose', run: tui => tui.compose() },
+    { keys: ['v'], hint: ['v'], label: 'vcard', run: tui => tui.vcard() },
+    { keys: ['q'], hint: ['q'], label: 'qr', run: tui => tui.qr() },
+    { keys: ['/'], hint: ['/'], label: 'search', run: tui => tui.setMode('search') },
+    { keys: [':'], hint: [':'], label: 'command', run: tui => tui.setMode('command') },
+    { keys: ['Escape'], run: tui => tui.clearFilter() }
+];
+
+/**
+ * COMMAND-mode commands, by name. run(tui, arg) returns the message to show.
+ * A bare number (":2") jumps to that row, as in vim.
+ */
+const TUI_COMMANDS = {
+    q: tui => tui.quit(),
+    copy: (tui, arg) => tui.yank(arg ? Number(arg) - 1 : undefined),
+    open: (tui, arg) => tui.open(arg ? Number(arg) - 1 : undefined)
+};
+
+/**
+ * Build the hint line from the keymap
+ * @param {Element} container - .tui-keys
+ */
+function renderTuiKeys(container) {
+    container.replaceChildren(...TUI_KEYMAP.filter(binding => binding.hint).map(binding => createEl('span', {},
+        ...binding.hint.map(key => createEl('kbd', {}, key)),
+        ' ' + binding.label
+    )));
+}
+
+/**
+ * What `y` copies from a row: the address for mailto: links, else the URL
+ * @param {Element} row - A .tui-row
+ * @returns {string}
+ */
+function getTuiRowValue(row) {
+    const href = row.getAttribute('href');
+    return href.startsWith('mailto:') ? href.slice('mailto:'.length).split('?')[0] : href;
+}
+
+/**
+ * The name the vCard is for
+ * @returns {string}
+ */
+function getContactName() {
+    const author = document.querySelector('meta[name="author"]');
+    return (author && author.content.trim()) || 'Contact';
+}
+
+/**
+ * Escape a vCard text value (RFC 6350, 3.4)
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeVCardText(value) {
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;');
+}
+
+/**
+ * Fold a content line at 75 octets, never inside a UTF-8 sequence
+ * @param {string} line
+ * @returns {string}
+ */
+function foldVCardLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts
+        const limit = parts.length === 0 ? VCARD_LINE_OCTETS : VCARD_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * A vCard 4.0 for the contact rows: mailto: rows become EMAIL, the rest URL
+ * @param {string} name - Full name, "Given Family"
+ * @param {Array<Element>} rows - .tui-row links
+ * @returns {string} CRLF-terminated, as the spec requires
+ */
+function buildContactVCard(name, rows) {
+    const [given, ...family] = name.split(/\s+/);
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:4.0',
+        'KIND:individual',
+        `FN:${escapeVCardText(name)}`,
+        `N:${escapeVCardText(family.join(' '))};${escapeVCardText(given)};;;`
+    ];
+
+    rows.forEach(row => {
+        const href = row.getAttribute('href');
+        // URIs are not text values, so they are not escaped
+        lines.push(href.startsWith('mailto:')
+            ? `EMAIL:${escapeVCardText(getTuiRowValue(row))}`
+            : `URL:${href}`);
+    });
+
+    lines.push('END:VCARD');
+    return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Hand some text to the browser as a file download
+ * @param {string} filename
+ * @param {string} text
+ * @param {string} type - MIME type
+ */
+function downloadTextFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = createEl('a', { href: url, download: filename, hidden: true });
+    document.body.append(link);
+    link.click();
+    link.remove();
+    // Revoking in the same task can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Wire the QR overlay
+ * @param {Element} overlay - #contact-qr
+ * @returns {Object} { open, close }
+ */
+function initContactQr(overlay) {
+    const panel = overlay.querySelector('.qr-panel');
+    const titleEl = overlay.querySelector('.qr-title');
+    const codeEl = overlay.querySelector('.qr-code');
+    const captionEl = overlay.querySelector('.qr-caption');
+    const switchButton = overlay.querySelector('.qr-switch');
+    const closeButton = overlay.querySelector('.qr-close');
+    let choices = [];
+    let shown = 0;
+    let returnFocus = null;
+
+    /**
+     * Draw one of the choices
+     * @param {number} at
+     * @throws {RangeError} If it is too long to encode
+     */
+    function show(at) {
+        const { title, text, caption } = choices[at];
+        const qr = encodeQr(text);
+        shown = at;
+        titleEl.textContent = title;
+        codeEl.replaceChildren(renderQrSvg(qr, { label: `QR code: ${title}` }));
+        captionEl.textContent = caption;
+
+        const other = choices[1 - at];
+        switchButton.hidden = !other;
+        if (other) switchButton.textContent = `show ${other.name}`;
+    }
+
+    /**
+     * Open on the first of up to two things to encode; the switch button
+     * flips between them
+     * @param {Array<Object>} list - { name, title, text, caption }
+     * @throws {RangeError} If the first is too long to encode
+     */
+    function open(list) {
+        choices = list;
+        show(0);
+        returnFocus = document.activeElement;
+        overlay.hidden = false;
+        closeButton.focus();
+    }
+
+    function close() {
+        if (overlay.hidden) return;
+        overlay.hidden = true;
+        if (returnFocus && returnFocus.isConnected && returnFocus !== document.body) returnFocus.focus();
+        returnFocus = null;
+    }
+
+    closeButton.addEventListener('click', close);
+
+    switchButton.addEventListener('click', () => {
+        try {
+            show(1 - shown);
+        } catch (error) {
+            captionEl.textContent = error.message;
+        }
+    });
+
+    // The backdrop is the overlay element itself; the panel stops short of it
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' || e.key === 'q') {
+            e.preventDefault();
+            close();
+        } else if (e.key === 'Tab') {
+            // Keep focus on the panel's buttons
+            const stops = [switchButton, closeButton].filter(button => !button.hidden);
+            const at = stops.indexOf(document.activeElement);
+            e.preventDefault();
+            stops[(at + (e.shiftKey ? -1 : 1) + stops.length) % stops.length].focus();
+        }
+    });
+
+    return { open, close };
+}
+
+/**
+ * The saved compose draft
+ * @returns {Object|null} Field name -> value
+ */
+function getComposeDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(COMPOSE_DRAFT_KEY));
+        return draft && typeof draft === 'object' ? draft : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Save the compose draft, or clear it
+ * @param {Object|null} values - Field name -> value; null to clear
+ */
+function saveComposeDraft(values) {
+    try {
+        if (values && Object.values(values).some(Boolean)) {
+            localStorage.setItem(COMPOSE_DRAFT_KEY, JSON.stringify(values));
+        } else {
+            localStorage.removeItem(COMPOSE_DRAFT_KEY);
+        }
+    } catch (error) {
+        console.warn('[Contact] Could not save draft:', error);
+    }
+}
+
+/**
+ * A mailto: URL carrying the whole message. Every part is percent-encoded,
+ * and line breaks become CRLF, as RFC 6068 asks. Mail clients ignore most
+ * headers in a mailto: link, so the reply-to address goes in the signature.
+ * @param {string} to
+ * @param {Object} values - { name, replyTo, subject, body }
+ * @returns {string}
+ */
+function buildComposeMailto(to, { name, replyTo, subject, body }) {
+    const text = `${body}\n\n-- \n${name} <${replyTo}>`.replace(/\r?\n/g, '\r\n');
+    const address = encodeURIComponent(to).replace(/%40/g, '@');
+    return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(text)}`;
+}
+
+/**
+ * Why the endpoint refused a message: its { error } if it sent one, else the status
+ * @param {Response} response - A non-2xx response
+ * @returns {Promise<string>}
+ */
+async function readComposeError(response) {
+    try {
+        const { error } = await response.json();
+        if (typeof error === 'string' && error) return `${response.status}: ${error}`;
+    } catch (error) {
+        // Not JSON (a proxy's error page, say); the status is all there is
+    }
+    return `HTTP ${response.status}`;
+}
+
+/**
+ * Wire the compose form
+ * @param {Element} form - .tui-compose
+ * @param {Object} options
+ * @param {string} options.to - The address from the email row
+ * @param {Function} options.say - Writes to the statusline
+ * @param {Function} options.done - Leaves compose mode, with a message
+ * @returns {Object} { open }
+ */
+function initCompose(form, { to, say, done }) {
+    const endpoint = form.dataset.endpoint || '';
+    const names = Object.keys(COMPOSE_FIELDS);
+    const field = name => form.elements[name];
+    let sending = false;
+
+    const values = () => Object.fromEntries(names.map(name => [name, field(name).value.trim()]));
+    const saveDraft = typeof debounce === 'function'
+        ? debounce(() => saveComposeDraft(values()), 300)
+        : () => saveComposeDraft(values());
+
+    function fill(draft) {
+        names.forEach(name => {
+            field(name).value = draft && typeof draft[name] === 'string' ? draft[name] : '';
+            field(name).removeAttribute('aria-invalid');
+        });
+    }
+
+    /**
+     * Check every field and mark the failures
+     * @param {Object} current - From values()
+     * @returns {Element|null} The first field that failed; its error is shown
+     */
+    function validate(current) {
+        let firstInvalid = null;
+        names.forEach(name => {
+            const error = COMPOSE_FIELDS[name](current[name]);
+            if (error) field(name).setAttribute('aria-invalid', 'true');
+            else field(name).removeAttribute('aria-invalid');
+            if (error && !firstInvalid) {
+                firstInvalid = field(name);
+                say(error);
+            }
+        });
+        return firstInvalid;
+    }
+
+    function sent(message) {
+        fill(null);
+        saveComposeDraft(null);
+        done(message);
+    }
+
+    async function send() {
+        if (sending) return;
+        const current = values();
+        const invalid = validate(current);
+        if (invalid) {
+            invalid.focus();
+            return;
+        }
+
+        if (!endpoint) {
+            const url = buildComposeMailto(to, current);
+            if (url.length > COMPOSE_MAILTO_MAX) {
+                field('body').setAttribute('aria-invalid', 'true');
+                field('body').focus();
+                say(`body: too long for a mailto: link (${url.length}/${COMPOSE_MAILTO_MAX} encoded characters)`);
+                return;
+            }
+            // Nothing reports back if no mail app is registered, so the
+            // draft stays until it is discarded
+            saveComposeDraft(current);
+            window.location.href = url;
+            done('handed to your mail app · draft kept');
+            return;
+        }
+
+        sending = true;
+        form.setAttribute('aria-busy', 'true');
+        say('sending…');
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(current)
+            });
+            if (!response.ok) throw new Error(await readComposeError(response));
+            sent(`sent, thanks! I'll reply to ${current.replyTo}`);
+        } catch (error) {
+            console.warn('[Contact] Send failed:', error);
+            say(`couldn't send (${error.message}); draft kept`);
+        } finally {
+            sending = false;
+            form.removeAttribute('aria-busy');
+        }
+    }
+
+    form.addEventListener('input', (e) => {
+        e.target.removeAttribute('aria-invalid');
+        saveDraft();
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        send();
+    });
+
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            saveComposeDraft(values());
+            done(Object.values(values()).some(Boolean) ? 'draft saved · c to resume' : '');
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            send();
+        }
+    });
+
+    form.querySelector('.tui-compose-discard').addEventListener('click', () => {
+        sent('draft discarded');
+    });
+
+    // A draft from an earlier visit is there when compose opens
+    fill(getComposeDraft());
+
+    return {
+        hasDraft: () => Object.values(values()).some(Boolean),
+
+        /**
+         * Show the form and focus the first field still to fill in
+         */
+        open() {
+            const current = values();
+            const next = names.find(name => COMPOSE_FIELDS[name](current[name])) || names[0];
+            field(next).focus();
+        }
+    };
+}
+
 function initContactTui() {
     const list = document.querySelector('.tui-list');
     if (!list) return;
@@ -26,53 +503,301 @@ function initContactTui() {
     const rows = Array.from(list.querySelectorAll('.tui-row'));
     if (rows.length === 0) return;
 
-    const counter = document.getElementById('tui-index');
+    const frame = list.closest('.tui');
+    const counter = document.getElementById('tui-pos');
+    const modeEl = frame.querySelector('.tui-status-mode');
+    const msgEl = frame.querySelector('.tui-status-msg');
+    const keysEl = document.querySelector('.tui-keys');
+    const form = frame.querySelector('.tui-compose');
+    const emailRow = rows.find(row => row.getAttribute('href').startsWith('mailto:'));
+    const actionsEl = document.querySelector('.tui-actions');
+    const qrEl = document.getElementById('contact-qr');
+    const qrOverlay = qrEl && typeof encodeQr === 'function' ? initContactQr(qrEl) : null;
+
+    const contactName = getContactName();
+    const vcardFile = `${contactName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'contact'}.vcf`;
+
+    // The command line lives in the statusline, after the mode badge
+    const prefixEl = createEl('span', { class: 'tui-cmdline-prefix', 'aria-hidden': 'true' });
+    const cmdInput = createEl('input', {
+        type: 'text',
+        class: 'tui-cmdline-input',
+        autocomplete: 'off',
+        autocapitalize: 'off',
+        spellcheck: 'false'
+    });
+    const cmdline = createEl('label', { class: 'tui-cmdline', hidden: true }, prefixEl, cmdInput);
+    modeEl.after(cmdline);
+
+    msgEl.setAttribute('role', 'status');
+    if (keysEl) renderTuiKeys(keysEl);
+
     let index = 0;
+    let mode = 'normal';
+    let pending = []; // Keys of an unfinished sequence, e.g. ['g']
+    let count = null; // The count prefix being typed
+    let filter = '';
+    let beforeSearch = 0;
 
-    /**
-     * Move the cursor to a row: update the highlight, the position readout,
-     * and which row is the list's single tab stop.
-     * @param {number} next - Row index to select
-     * @param {boolean} focus - Whether to also move DOM focus there
-     */
-    function select(next, focus) {
-        index = (next + rows.length) % rows.length;
+    // The cursor itself; the keys are ours, so its own are off
+    const cursor = createTuiList(list, {
+        items: '.tui-row',
+        keys: false,
+        onSelect(row, i) {
+            index = i;
+            updatePosition();
+        }
+    });
+
+    /** Cursor position among the rows a search left visible, e.g. 1/2 */
+    function updatePosition() {
+        if (!counter) return;
+        // Read off the rows, not the cursor: the first select() runs while it is being built
+        const visible = rows.filter(row => !row.closest('[hidden]'));
+        counter.textContent = `${visible.indexOf(rows[index]) + 1}/${visible.length}`;
+    }
+
+    function say(message) {
+        msgEl.textContent = message;
+    }
 
-        rows.forEach((row, i) => {
-            const isSelected = i === index;
-            row.classList.toggle('is-selected', isSelected);
-            row.tabIndex = isSelected ? 0 : -1;
+    function applyFilter(query) {
+        filter = query;
+        const needle = query.toLowerCase();
+        rows.forEach(row => {
+            row.parentElement.hidden = Boolean(needle) && !cleanText(row).toLowerCase().includes(needle);
         });
 
-        if (counter) counter.textContent = index + 1;
-        if (focus) rows[index].focus();
+        const matches = cursor.visibleItems();
+        if (matches.length > 0 && !matches.includes(rows[index])) cursor.select(matches[0]);
+        updatePosition();
+        return matches.length;
+    }
+
+    const tui = {
+        /**
+         * Move through the visible rows. A single step wraps; a counted
+         * move stops at the ends, as in vim.
+         */
+        moveBy(step, counted) {
+            cursor.move(step, counted);
+        },
+
+        moveTo(at) {
+            cursor.moveTo(at);
+        },
+
+        open(at = index) {
+            if (!rows[at]) return `E16: Invalid range: ${at + 1}`;
+            cursor.select(at, true);
+            if (rows[at] === emailRow && composer) return tui.compose();
+            rows[at].click();
+            return `opened ${cleanText(rows[at].querySelector('.tui-key')).toLowerCase()}`;
+        },
+
+        yank(at = index) {
+            const row = rows[at];
+            if (!row) return `E16: Invalid range: ${at + 1}`;
+            const name = cleanText(row.querySelector('.tui-key')).toLowerCase();
+
+            const copied = navigator.clipboard
+                ? navigator.clipboard.writeText(getTuiRowValue(row))
+                : Promise.reject(new Error('No clipboard API'));
+            copied.then(
+                () => say(`yanked ${name}`),
+                () => say(`couldn't yank ${name}: clipboard unavailable`)
+            );
+            return `yanking ${name}…`;
+        },
+
+        quit() {
+            tui.clearFilter();
+            const section = list.closest('section');
+            if (section && typeof focusTarget === 'function') focusTarget(section);
+            else rows[index].blur();
+            return '';
+        },
+
+        compose() {
+            if (!composer) return 'compose: not available';
+            if (rows[index] !== emailRow) return 'compose: move to the email row first';
+            tui.setMode('compose');
+            composer.open();
+            return composer.hasDraft() ? 'draft restored · ctrl+↵ send · esc back' : 'ctrl+↵ send · esc back';
+        },
+
+        vcard() {
+            downloadTextFile(vcardFile, buildContactVCard(contactName, rows), 'text/vcard;charset=utf-8');
+            return `saved ${vcardFile}`;
+        },
+
+        /**
+         * Show a QR code of the selected row's link, or of the whole vCard
+         * @param {boolean} [whole=false] - Start on the vCard
+         */
+        qr(whole = false) {
+            if (!qrOverlay) return 'qr: not available';
+            const row = rows[index];
+            const name = cleanText(row.querySelector('.tui-key')).toLowerCase();
+            const link = { name: `${name} link`, title: name, text: row.getAttribute('href'), caption: getTuiRowValue(row) };
+            const card = {
+                name: 'vCard',
+                title: 'contact card',
+                text: buildContactVCard(contactName, rows),
+                caption: `${contactName} · vCard 4.0`
+            };
+            try {
+                qrOverlay.open(whole ? [card, link] : [link, card]);
+            } catch (error) {
+                return `qr: ${error.message}`;
+            }
+            return '';
+        },
+
+        clearFilter() {
+            if (!filter) return;
+            applyFilter('');
+            say('filter cleared');
+        },
+
+        setMode(next) {
+            mode = next;
+            frame.dataset.mode = next;
+            modeEl.textContent = TUI_MODES[next];
+            list.hidden = next === 'compose';
+            if (form) form.hidden = next !== 'compose';
+            cmdline.hidden = next !== 'search' && next !== 'command';
+
+            if (next === 'normal') {
+                cmdInput.value = '';
+                rows[index].focus();
+                return;
+            }
+            if (next === 'compose') return;
+
+            beforeSearch = index;
+            prefixEl.textContent = next === 'search' ? '/' : ':';
+            cmdInput.setAttribute('aria-label', next === 'search' ? 'Search contacts' : 'Command');
+            say('');
+            cmdInput.focus();
+        }
+    };
+
+    const composer = form && emailRow ? initCompose(form, {
+        to: getTuiRowValue(emailRow),
+        say,
+        done(message) {
+            tui.setMode('normal');
+            say(message);
+        }
+    }) : null;
+
+    function runCommand(line) {
+        const [name, arg] = line.trim().split(/\s+/);
+        if (!name) return '';
+        if (/^\d+$/.test(name)) {
+            tui.moveTo(Number(name) - 1);
+            return '';
+        }
+        if (!Object.prototype.hasOwnProperty.call(TUI_COMMANDS, name)) return `E492: Not an editor command: ${line.trim()}`;
+        if (arg && !/^\d+$/.test(arg)) return `E474: Invalid argument: ${arg}`;
+        return TUI_COMMANDS[name](tui, arg);
     }
 
     list.addEventListener('keydown', (e) => {
         // Let modified keys through: Ctrl+Home, browser shortcuts, etc.
-        if (e.altKey || e.ctrlKey || e.metaKey) return;
+        if (e.altKey || e.ctrlKey || e.metaKey || e.isComposing) return;
+        // Shift on its own arrives before G or ":"; it must not reset a count
+        if (e.key === 'Shift') return;
+
+        // A count: 1-9 starts one, 0 only continues it
+        if (/^[1-9]$/.test(e.key) || (count !== null && e.key === '0')) {
+            count = (count || 0) * 10 + Number(e.key);
+            e.preventDefault();
+            return;
+        }
 
-        let next = null;
-        // j/k as well as the arrows, since this is a terminal after all
-        if (e.key === 'ArrowDown' || e.key === 'j') next = index + 1;
-        else if (e.key === 'ArrowUp' || e.key === 'k') next = index - 1;
-        else if (e.key === 'Home') next = 0;
-        else if (e.key === 'End') next = rows.length - 1;
-        else return;
+        const sequence = [...pending, e.key].join(' ');
+        const binding = TUI_KEYMAP.find(candidate => candidate.keys.includes(sequence));
+
+        if (binding) {
+            const typed = count;
+            pending = [];
+            count = null;
+            const message = binding.run(tui, typed);
+            if (typeof message === 'string') say(message);
+        } else if (TUI_KEYMAP.some(candidate => candidate.keys.some(keys => keys.startsWith(sequence + ' ')))) {
+            pending.push(e.key);
+        } else {
+            // Not ours: forget any half-typed sequence and let the key through
+            pending = [];
+            count = null;
+            return;
+        }
 
         // Only now do we own the key, so ordinary scrolling is untouched
         e.preventDefault();
-        select(next, true);
     });
 
-    // Pointer and Tab focus move the cursor too, so the highlight and the
-    // position readout can never disagree with where focus actually is.
-    rows.forEach((row, i) => {
-        row.addEventListener('focus', () => select(i, false));
-        row.addEventListener('mouseenter', () => select(i, false));
+    cmdInput.addEventListener('input', () => {
+        if (mode !== 'search') return;
+        const matches = applyFilter(cmdInput.value);
+        say(matches === 0 ? `E486: Pattern not found: ${cmdInput.value}` : '');
+    });
+
+    cmdInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            if (mode === 'search') {
+                applyFilter('');
+                cursor.select(beforeSearch);
+            }
+            tui.setMode('normal');
+        } else if (e.key === 'Enter') {
+            const line = cmdInput.value;
+            const wasSearch = mode === 'search';
+            const notFound = wasSearch && cursor.visibleItems().length === 0;
+            if (notFound) applyFilter('');
+
+            tui.setMode('normal');
+            if (notFound) {
+                say(`E486: Pattern not found: ${line}`);
+            } else if (wasSearch) {
+                const matches = cursor.visibleItems().length;
+                say(filter ? `/${filter}: ${matches} match${matches === 1 ? '' : 'es'}` : '');
+            } else {
+                say(runCommand(line) || '');
+            }
+        } else if (e.key === 'Backspace' && cmdInput.value === '') {
+            // As in vim: backspacing over the prefix leaves the mode
+            if (mode === 'search') applyFilter('');
+            tui.setMode('normal');
+        } else {
+            return;
+        }
+        e.preventDefault();
     });
 
-    select(0, false);
+    // Clicking away from the command line abandons it
+    cmdInput.addEventListener('blur', () => {
+        if (mode !== 'search' && mode !== 'command') return;
+        mode = 'normal';
+        frame.dataset.mode = 'normal';
+        modeEl.textContent = TUI_MODES.normal;
+        cmdline.hidden = true;
+        cmdInput.value = '';
+    });
+
+    // The buttons do what v and q do, for pointer and touch visitors
+    if (actionsEl) {
+        const vcardButton = actionsEl.querySelector('.tui-action-vcard');
+        const qrButton = actionsEl.querySelector('.tui-action-qr');
+        vcardButton.addEventListener('click', () => say(tui.vcard()));
+        qrButton.addEventListener('click', () => say(tui.qr(true)));
+        qrButton.hidden = !qrOverlay;
+        actionsEl.hidden = false;
+    }
+
+    if (composer && composer.hasDraft()) say('unsent draft · c on email to resume');
 }
 
 document.addEventListener('DOMContentLoaded', initContactTui);
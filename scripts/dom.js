@@ -0,0 +1,55 @@
+/**
+ * ============================================================================
+ * DOM.JS - Small DOM helpers shared by the page's scripts
+ * ============================================================================
+ *
+ * - createEl() builds elements from a tag, attributes and children, so text
+ *   from the API or the page is never parsed as HTML.
+ * - cleanText() reads an element's text with its whitespace collapsed.
+ *
+ * Loaded before every other script, which use both as globals.
+ *
+ * TO REMOVE: not optional; nearly every script builds its markup with
+ * createEl().
+ * ============================================================================
+ */
+
+/**
+ * Build an element from a tag, attributes and children.
+ *
+ * Everything from the API goes through here rather than an HTML string:
+ * string children become text nodes and attribute values go through
+ * setAttribute, so a repo description containing markup is shown as text,
+ * never parsed. Attributes that are null, undefined or false are skipped.
+ * @param {string} tag - Element name
+ * @param {Object} [attrs] - Attribute name -> value
+ * @param {...(Node|string|number|null|false)} children - Falsy children are skipped
+ * @returns {Element}
+ */
+function createEl(tag, attrs = {}, ...children) {
+    const el = document.createElement(tag);
+    Object.keys(attrs).forEach(name => {
+        const value = attrs[name];
+        if (value === null || value === undefined || value === false) return;
+        el.setAttribute(name, value === true ? '' : value);
+    });
+    children.forEach(child => {
+        if (child === null || child === undefined || child === false) return;
+        el.append(child instanceof Node ? child : String(child));
+    });
+    return el;
+}
+
+/**
+ * Text of an element with its whitespace collapsed
+ * @param {Element|null} el
+ * @returns {string}
+ */
+function cleanText(el) {
+    return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createEl, cleanText };
+}
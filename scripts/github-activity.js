@@ -0,0 +1,378 @@
+/**
+ * ============================================================================
+ * GITHUB-ACTIVITY.JS - Recent public activity as a `git log --oneline`
+ * ============================================================================
+ *
+ * Fetches /users/{GITHUB_USERNAME}/events/public and renders pushes, pull
+ * requests, issues, releases and new repos as one line each, newest first,
+ * with a relative timestamp. Chips above the log toggle each event type.
+ *
+ * RATE LIMIT: handled the same way as the repo list in github-api.js:
+ * - one localStorage entry, shown straight away even when stale; it keeps
+ *   only the events and fields the log can show, since raw events carry
+ *   whole pull requests and issues;
+ * - a stale entry is revalidated with its ETag, and a 304 is free;
+ * - calls go through githubFetch() as non-essential, so they stop first when
+ *   the shared budget runs low;
+ * - a failure keeps whatever is cached, or shows the error panel (with its
+ *   countdown and automatic retry) if nothing is.
+ *
+ * CUSTOMIZATION: ACTIVITY_LIMIT caps the log; a data-limit attribute on
+ * #activity-log overrides it. ACTIVITY_TYPES decides which events are shown
+ * and how each one reads.
+ *
+ * TO REMOVE: drop the <script> tag and the #activity section in index.html.
+ * It needs scripts/dom.js, github-client.js and github-api.js.
+ * ============================================================================
+ */
+
+const ACTIVITY_API_URL = `https://api.github.com/users/${GITHUB_USERNAME}/events/public`;
+const ACTIVITY_CACHE_KEY = 'github_activity_cache';
+const ACTIVITY_CACHE_DURATION_MS = 10 * 60 * 1000; // Events move faster than repos
+const ACTIVITY_LIMIT = 15; // Lines in the log, after filtering
+
+/**
+ * Event types shown in the log, keyed by filter id.
+ * `match` picks the raw API events the type covers; `describe` turns one into
+ * the line's text and link.
+ */
+const ACTIVITY_TYPES = {
+    push: {
+        label: 'push',
+        match: event => event.type === 'PushEvent',
+        describe: (event, repo) => {
+            const commits = event.payload.commits || [];
+            const size = event.payload.size || commits.length;
+            const branch = (event.payload.ref || '').replace(/^refs\/heads\//, '');
+            const last = commits[commits.length - 1];
+            const message = last ? last.message.split('\n')[0] : '';
+            return {
+                text: `${size} commit${size === 1 ? '' : 's'} to ${repo}${branch ? ':' + branch : ''}` +
+                    (message ? ` — ${message}` : ''),
+                url: event.payload.head
+                    ? `https://github.com/${repo}/commit/${event.payload.head}`
+                    : `https://github.com/${repo}`
+            };
+        }
+    },
+    pr: {
+        label: 'pull request',
+        match: event => event.type === 'PullRequestEvent',
+        describe: (event, repo) => {
+            const pr = event.payload.pull_request || {};
+            const action = event.payload.action === 'closed' && pr.merged ? 'merged' : event.payload.action;
+            return {
+                text: `${action} ${repo}#${pr.number}${pr.title ? ' — ' + pr.title : ''}`,
+                url: pr.html_url
+            };
+        }
+    },
+    issue: {
+        label: 'issue',
+        match: event => event.type === 'IssuesEvent',
+        describe: (event, repo) => {
+            const issue = event.payload.issue || {};
+            return {
+                text: `${event.payload.action} ${repo}#${issue.number}${issue.title ? ' — ' + issue.title : ''}`,
+                url: issue.html_url
+            };
+        }
+    },
+    release: {
+        label: 'release',
+        match: event => event.type === 'ReleaseEvent',
+        describe: (event, repo) => {
+            const release = event.payload.release || {};
+            return {
+                text: `released ${repo} ${release.name || release.tag_name || ''}`.trim(),
+                url: release.html_url
+            };
+        }
+    },
+    repo: {
+        label: 'new repo',
+        // Branch and tag creation are CreateEvents too; only new repos count
+        match: event => event.type === 'CreateEvent' && event.payload.ref_type === 'repository',
+        describe: (event, repo) => ({
+            text: `created ${repo}`,
+            url: `https://github.com/${repo}`
+        })
+    }
+};
+
+/* Cached events and which types are switched on */
+let activityEvents = [];
+const activityFilter = new Set(Object.keys(ACTIVITY_TYPES));
+
+/**
+ * Get the cached events, flagged `isStale` once past ACTIVITY_CACHE_DURATION_MS
+ * @returns {Object|null} { events, etag, timestamp, isStale }, or null if there is no usable cache
+ */
+function getCachedActivity() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(ACTIVITY_CACHE_KEY));
+        if (!cached || !Array.isArray(cached.events)) return null;
+        return { ...cached, isStale: Date.now() - cached.timestamp >= ACTIVITY_CACHE_DURATION_MS };
+    } catch (error) {
+        console.warn('[Activity] Error reading cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Cut a raw event down to the fields ACTIVITY_TYPES and the log line read
+ * @param {Object} event - Raw API event
+ * @returns {Object} An event of the same shape, minus everything else
+ */
+function slimActivityEvent(event) {
+    const payload = event.payload || {};
+    const pick = (object, keys) => object
+        ? Object.fromEntries(keys.filter(key => key in object).map(key => [key, object[key]]))
+        : undefined;
+    const commits = payload.commits || [];
+    const last = commits[commits.length - 1];
+
+    return {
+        id: event.id,
+        type: event.type,
+        created_at: event.created_at,
+        repo: event.repo ? { name: event.repo.name } : undefined,
+        payload: {
+            action: payload.action,
+            ref: payload.ref,
+            ref_type: payload.ref_type,
+            head: payload.head,
+            // Only the last commit's message is shown, so keep the count apart
+            size: payload.size || commits.length,
+            commits: last ? [{ message: last.message }] : undefined,
+            pull_request: pick(payload.pull_request, ['number', 'title', 'html_url', 'merged']),
+            issue: pick(payload.issue, ['number', 'title', 'html_url']),
+            release: pick(payload.release, ['name', 'tag_name', 'html_url'])
+        }
+    };
+}
+
+/**
+ * Keep the events the log could ever show: the newest `limit` of each type.
+ * Any mix of filter chips then still fills the log as far as the raw list would.
+ * @param {Array} events - API events, newest first
+ * @param {number} limit - Lines in the log
+ * @returns {Array} Slimmed events, newest first
+ */
+function trimActivity(events, limit) {
+    const counts = {};
+    return events.filter(event => {
+        const type = activityTypeOf(event);
+        if (!type) return false;
+        counts[type] = (counts[type] || 0) + 1;
+        return counts[type] <= limit;
+    }).map(slimActivityEvent);
+}
+
+/**
+ * Save events to the cache
+ * @param {Array} events - Events from trimActivity()
+ * @param {string|null} etag - Validator for the next revalidation
+ */
+function setCachedActivity(events, etag) {
+    try {
+        localStorage.setItem(ACTIVITY_CACHE_KEY, JSON.stringify({ events, etag, timestamp: Date.now() }));
+    } catch (error) {
+        console.warn('[Activity] Error writing cache:', error);
+    }
+}
+
+/**
+ * Fetch public events, conditionally if the cache holds an ETag
+ * @param {Object|null} cached - Entry from getCachedActivity()
+ * @param {number} limit - Lines in the log; see trimActivity()
+ * @returns {Promise<Object>} { events, changed }
+ */
+async function fetchActivity(cached, limit) {
+    const headers = {};
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+
+    const response = await githubFetch(`${ACTIVITY_API_URL}?per_page=100`, { headers, essential: false });
+
+    if (response.status === 304 && cached) {
+        // Restart the freshness window; a cache from before trimming shrinks too
+        const events = trimActivity(cached.events, limit);
+        setCachedActivity(events, cached.etag);
+        return { events, changed: false };
+    }
+
+    const events = trimActivity(await response.json(), limit);
+    setCachedActivity(events, response.headers.get('ETag'));
+    return { events, changed: true };
+}
+
+/**
+ * "3 hours ago", "yesterday", "last week"
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatRelativeTime(date) {
+    const seconds = Math.round((date - Date.now()) / 1000);
+    const units = [
+        ['year', 365 * 24 * 3600],
+        ['month', 30 * 24 * 3600],
+        ['week', 7 * 24 * 3600],
+        ['day', 24 * 3600],
+        ['hour', 3600],
+        ['minute', 60]
+    ];
+    const rtf = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+
+    for (const [unit, size] of units) {
+        if (Math.abs(seconds) >= size) return rtf.format(Math.round(seconds / size), unit);
+    }
+    return 'just now';
+}
+
+/**
+ * The short hash for a line: the pushed commit where there is one, otherwise
+ * the event id in hex, so every line keeps the `git log --oneline` shape
+ * @param {Object} event - Raw API event
+ * @returns {string} Seven hex characters
+ */
+function activityHash(event) {
+    if (event.type === 'PushEvent' && event.payload.head) return event.payload.head.slice(0, 7);
+    return Number(event.id).toString(16).padStart(7, '0').slice(-7);
+}
+
+/**
+ * Which filter type a raw event belongs to
+ * @param {Object} event - Raw API event
+ * @returns {string|undefined} Key of ACTIVITY_TYPES, or undefined if it is not shown
+ */
+function activityTypeOf(event) {
+    return Object.keys(ACTIVITY_TYPES).find(type => ACTIVITY_TYPES[type].match(event));
+}
+
+/**
+ * Build one log line
+ * @param {Object} event - Raw API event
+ * @param {string} type - Key of ACTIVITY_TYPES
+ * @returns {Element} An <li>
+ */
+function renderActivityLine(event, type) {
+    const repo = event.repo ? event.repo.name : GITHUB_USERNAME;
+    const { text, url } = ACTIVITY_TYPES[type].describe(event, repo);
+    const href = safeGitHubUrl(url) || `https://github.com/${GITHUB_USERNAME}`;
+    const date = new Date(event.created_at);
+
+    return createEl('li', { class: 'activity-line', 'data-type': type },
+        createEl('span', { class: 'activity-hash', 'aria-hidden': 'true' }, activityHash(event)),
+        createEl('span', { class: 'activity-type' }, `(${ACTIVITY_TYPES[type].label})`),
+        createEl('a', { class: 'activity-text', href, target: '_blank', rel: 'noopener noreferrer' }, text),
+        createEl('time', {
+            class: 'activity-time',
+            datetime: event.created_at,
+            title: date.toLocaleString()
+        }, formatRelativeTime(date))
+    );
+}
+
+/**
+ * How many lines the log shows
+ * @param {Element} log - #activity-log
+ * @returns {number}
+ */
+function getActivityLimit(log) {
+    return parseInt(log.dataset.limit, 10) || ACTIVITY_LIMIT;
+}
+
+/**
+ * Render the cached events through the current type filter and limit
+ * @param {Element} log - #activity-log
+ */
+function renderActivity(log) {
+    const limit = getActivityLimit(log);
+    const lines = [];
+
+    for (const event of activityEvents) {
+        const type = activityTypeOf(event);
+        if (!type || !activityFilter.has(type)) continue;
+        lines.push(renderActivityLine(event, type));
+        if (lines.length === limit) break;
+    }
+
+    if (lines.length === 0) {
+        lines.push(createEl('li', { class: 'activity-empty' },
+            activityEvents.length === 0 ? 'No recent public activity.' : 'Nothing matches these filters.'));
+    }
+
+    log.replaceChildren(...lines);
+}
+
+/**
+ * Build the type filter chips and toggle them on click
+ * @param {Element} group - The .activity-filters group
+ * @param {Element} log - #activity-log
+ */
+function initActivityFilters(group, log) {
+    group.replaceChildren(...Object.keys(ACTIVITY_TYPES).map(type => createEl('button', {
+        type: 'button',
+        class: 'repo-chip',
+        'data-activity-type': type,
+        'aria-pressed': String(activityFilter.has(type))
+    }, ACTIVITY_TYPES[type].label)));
+
+    group.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-activity-type]');
+        if (!chip) return;
+
+        const type = chip.dataset.activityType;
+        if (activityFilter.has(type)) activityFilter.delete(type);
+        else activityFilter.add(type);
+
+        chip.setAttribute('aria-pressed', String(activityFilter.has(type)));
+        renderActivity(log);
+    });
+
+    group.hidden = false;
+}
+
+/**
+ * Fill the log: cache first, then revalidate if stale
+ * @param {Element} log - #activity-log
+ * @returns {Promise<void>}
+ */
+async function loadActivity(log) {
+    const cached = getCachedActivity();
+    if (cached) {
+        activityEvents = cached.events;
+        renderActivity(log);
+        if (!cached.isStale) return;
+    }
+
+    log.setAttribute('aria-busy', 'true');
+    try {
+        const { events, changed } = await fetchActivity(cached, getActivityLimit(log));
+        activityEvents = events;
+        if (changed || !cached) renderActivity(log);
+    } catch (error) {
+        console.error('[Activity] Error fetching events:', error);
+        // A stale log beats an error; only complain if there is nothing to show
+        if (!cached) {
+            log.replaceChildren(createEl('li', {}, renderError(error, GITHUB_USERNAME, () => loadActivity(log))));
+        }
+    } finally {
+        log.removeAttribute('aria-busy');
+    }
+}
+
+/**
+ * Initialize the activity log and its filters
+ */
+function initGitHubActivity() {
+    const log = document.getElementById('activity-log');
+    if (!log) return;
+
+    const filters = document.querySelector('.activity-filters');
+    if (filters) initActivityFilters(filters, log);
+
+    loadActivity(log);
+}
+
+document.addEventListener('DOMContentLoaded', initGitHubActivity);
@@ -5,20 +5,47 @@
  * 
  * This module handles:
  * - Fetching public repositories from GitHub API
- * - Caching results in localStorage (1 hour TTL)
+ * - Caching results in localStorage, with each page's ETag/Last-Modified
+ * - Conditional revalidation (If-None-Match), so an unchanged page is a free 304
+ * - Stale-while-revalidate: expired data renders at once, fresh data swaps in
+ * - A bundled snapshot (assets/data/repos.snapshot.json) that seeds the cache
+ *   on a first visit and stands in when the API is down or rate limited
+ * - Curation: pinned repos first, hidden and excluded repos left out
  * - Sorting repos by stars and update date
- * - Rendering repository cards to the DOM
+ * - Search, language and sort toolbar, with its state kept in the URL hash
+ * - "Load more" paging through the rest of the list, optionally on scroll
+ * - Rendering repository cards to the DOM, built as elements so API text is
+ *   never parsed as HTML and links are checked to be https GitHub URLs
+ * - createRepoGrid(): any number of grids on one page, for a user or an org,
+ *   each with its own cache namespace, toolbar and paging
  * 
  * GITHUB API NOTES:
  * - Unauthenticated requests: 60/hour limit
  * - Using localStorage cache to minimize API calls
- * - Graceful error handling with user feedback
+ * - 304 Not Modified responses do not count against that limit
+ * - Every call goes through githubFetch() (github-client.js), which shares
+ *   the rate-limit budget with the page's other GitHub features
+ * - Graceful error handling with user feedback; a rate-limited grid counts
+ *   down to the reset and retries by itself
  * 
  * CUSTOMIZATION:
  * - Change GITHUB_USERNAME to fetch different user's repos
- * - Adjust CACHE_DURATION_MS for different cache lifetimes
+ * - Configure a single grid from data- attributes on its container:
+ *     <div class="tiling-grid" data-repo-grid data-org="my-org"
+ *          data-limit="8" data-sort="pushed" data-cache-key="org_repos"></div>
+ *   See createRepoGrid() for every option
+ * - Adjust CACHE_DURATION_MS for how long data counts as fresh (after that
+ *   it is still shown, but revalidated in the background)
+ * - Set REPO_PAGE_SIZE for how many cards each page adds, and
+ *   REPO_INFINITE_SCROLL to load pages as the grid's end comes into view
+ * - Edit REPO_CURATION to pin, hide or exclude repos
  * - Modify renderRepoCard() to change card appearance
  * 
+ * TO REMOVE: github-activity.js, repo-languages.js, repo-readme.js and
+ * hero-shell.js use its helpers (GITHUB_USERNAME, LANGUAGE_TYPES,
+ * safeGitHubUrl(), renderError()); remove those first. Needs
+ * scripts/dom.js and scripts/github-client.js.
+ * 
  * ============================================================================
  */
 
@@ -26,8 +53,17 @@
 const GITHUB_USERNAME = 'AndyFerns';
 const GITHUB_API_URL = `https://api.github.com/users/${GITHUB_USERNAME}/repos`;
 const CACHE_KEY = 'github_repos_cache';
+const SNAPSHOT_URL = 'assets/data/repos.snapshot.json'; // Regenerate with tools/snapshot-repos.js
 const CACHE_DURATION_MS = 60 * 60 * 1000; // 1 hour in milliseconds
-const MAX_VISIBLE_REPOS = 16; // Show only 9 repos, rest redirects to GitHub
+const PER_PAGE = 100; // API maximum
+const MAX_PAGES = 10; // Safety cap on pagination
+const REPO_PAGE_SIZE = 16; // Cards shown up front, and added per "load more"
+const REPO_INFINITE_SCROLL = false; // Also load the next page when the control scrolls into view
+
+/* The toolbar state lives in the hash as `#github-repos?q=..&lang=..&sort=..`.
+   Keeping the section id as the prefix means a shared link still lands on the
+   right section; the query part is ignored by anything that is not us. */
+const REPO_FILTER_HASH = 'github-repos';
 
 /**
  * Badge type per language, so a repo card's language pill is coloured on the
@@ -53,25 +89,87 @@ const LANGUAGE_TYPES = {
 };
 
 /**
- * Get cached repositories from localStorage
- * @returns {Object|null} Cached data with repos and timestamp, or null if invalid/expired
+ * Which repos the grid shows, and which it puts first.
+ *
+ * - pinned            : shown first, in this order, whatever the sort mode.
+ *                       Exempt from the exclude* rules below, and marked as
+ *                       pinned on the card.
+ * - hidden            : names or globs (`*` any run, `?` one character) never
+ *                       shown. Matched case-insensitively, like GitHub names.
+ *                       Wins over pinned.
+ * - excludeForks      : leave out forks of other people's projects
+ * - excludeArchived   : leave out archived repos
+ * - requireDescription: leave out repos with no description
+ *
+ * The About section stats still count every public repo; this only shapes
+ * the grid.
+ */
+const REPO_CURATION = {
+    pinned: ['Determa', 'Automated-Reasoning-Project', 'Nourishfit'],
+    hidden: [GITHUB_USERNAME, '*.github.io'], // profile README and Pages repos
+    excludeForks: true,
+    excludeArchived: true,
+    requireDescription: false
+};
+
+/**
+ * Sort modes offered by the toolbar, in menu order. `stars` is the default
+ * and the order the grid has always used.
+ */
+const SORT_MODES = {
+    stars: {
+        label: 'stars',
+        compare: (a, b) => (b.stargazers_count - a.stargazers_count) ||
+            (new Date(b.updated_at) - new Date(a.updated_at))
+    },
+    pushed: {
+        label: 'recently pushed',
+        compare: (a, b) => new Date(b.pushed_at) - new Date(a.pushed_at)
+    },
+    name: {
+        label: 'name',
+        compare: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })
+    },
+    forks: {
+        label: 'forks',
+        compare: (a, b) => (b.forks_count - a.forks_count) ||
+            (b.stargazers_count - a.stargazers_count)
+    }
+};
+
+/* Every grid created on the page, in creation order. The first one built by
+   initGitHubRepos() (#repos-grid) is the site's own. */
+const repoGrids = [];
+
+/**
+ * Get cached repositories from localStorage.
+ *
+ * An expired entry is still returned, flagged `isStale`: stale data is shown
+ * straight away and revalidated in the background, and its stored validators
+ * are what make that revalidation cheap.
+ * @param {string} [cacheKey=CACHE_KEY] - localStorage key of the grid's cache
+ * @returns {Object|null} { repos, pages, timestamp, isStale, source }, or null if there is no usable cache
  */
-function getCachedRepos() {
+function getCachedRepos(cacheKey = CACHE_KEY) {
     try {
-        const cached = localStorage.getItem(CACHE_KEY);
+        const cached = localStorage.getItem(cacheKey);
         if (!cached) return null;
 
-        const { repos, timestamp } = JSON.parse(cached);
-        const now = Date.now();
+        const { repos, pages, timestamp, source } = JSON.parse(cached);
+        if (!Array.isArray(repos)) return null;
 
-        // Check if cache is still valid
-        if (now - timestamp < CACHE_DURATION_MS) {
-            console.log('[GitHub API] Using cached repositories');
-            return repos;
-        }
+        const isStale = Date.now() - timestamp >= CACHE_DURATION_MS;
+        console.log('[GitHub API] Using cached repositories' + (isStale ? ' (stale)' : ''));
 
-        console.log('[GitHub API] Cache expired, will fetch fresh data');
-        return null;
+        return {
+            repos,
+            // Entries written before validators were stored have no pages;
+            // they still render, they just revalidate unconditionally.
+            pages: Array.isArray(pages) ? pages : [],
+            timestamp,
+            isStale,
+            source: source || 'api'
+        };
     } catch (error) {
         console.warn('[GitHub API] Error reading cache:', error);
         return null;
@@ -79,16 +177,23 @@ function getCachedRepos() {
 }
 
 /**
- * Save repositories to localStorage cache
- * @param {Array} repos - Array of repository objects
+ * Save repositories to localStorage cache, along with each page's validators
+ * @param {Array} pages - One { repos, etag, lastModified } entry per API page
+ * @param {string} [cacheKey=CACHE_KEY] - localStorage key of the grid's cache
  */
-function setCachedRepos(repos) {
+function setCachedRepos(pages, cacheKey = CACHE_KEY) {
+    const repos = pages.reduce((all, page) => all.concat(page.repos), []);
     try {
         const cacheData = {
             repos: repos,
+            pages: pages.map(page => ({
+                etag: page.etag,
+                lastModified: page.lastModified,
+                count: page.repos.length
+            })),
             timestamp: Date.now()
         };
-        localStorage.setItem(CACHE_KEY, JSON.stringify(cacheData));
+        localStorage.setItem(cacheKey, JSON.stringify(cacheData));
         console.log('[GitHub API] Cached', repos.length, 'repositories');
     } catch (error) {
         console.warn('[GitHub API] Error writing cache:', error);
@@ -96,66 +201,126 @@ function setCachedRepos(repos) {
 }
 
 /**
- * Fetch all public repositories from GitHub API
- * Uses pagination to fetch all repos (API returns max 100 per page)
- * @returns {Promise<Array>} Array of repository objects
+ * Load the bundled snapshot and seed the cache with it.
+ *
+ * The entry is stamped with the snapshot's own date, so it is (almost always)
+ * already stale: it renders at once and is revalidated straight away, just
+ * like any other stale cache. It has no validators, so that first
+ * revalidation is a full fetch.
+ * @param {string} [snapshotUrl=SNAPSHOT_URL] - Same-origin snapshot file
+ * @param {string} [cacheKey=CACHE_KEY] - localStorage key of the grid's cache
+ * @returns {Promise<Object|null>} A getCachedRepos()-shaped entry, or null if there is no snapshot
  */
-async function fetchGitHubRepos() {
-    // Check cache first
-    const cachedRepos = getCachedRepos();
-    if (cachedRepos) {
-        return cachedRepos;
+async function seedCacheFromSnapshot(snapshotUrl = SNAPSHOT_URL, cacheKey = CACHE_KEY) {
+    try {
+        const response = await fetch(snapshotUrl);
+        if (!response.ok) throw new Error(`Snapshot missing: ${response.status}`);
+
+        const { generated_at, repos } = await response.json();
+        // An empty or undated file is the placeholder shipped until one is generated
+        if (!Array.isArray(repos) || repos.length === 0) throw new Error('Snapshot has no repos');
+        const timestamp = Date.parse(generated_at);
+        if (!timestamp) throw new Error('Snapshot has no date');
+        try {
+            localStorage.setItem(cacheKey, JSON.stringify({ repos, pages: [], timestamp, source: 'snapshot' }));
+        } catch (error) {
+            console.warn('[GitHub API] Error writing cache:', error);
+        }
+
+        console.log('[GitHub API] Seeded cache from snapshot of', generated_at);
+        return {
+            repos,
+            pages: [],
+            timestamp,
+            isStale: Date.now() - timestamp >= CACHE_DURATION_MS,
+            source: 'snapshot'
+        };
+    } catch (error) {
+        console.warn('[GitHub API] No usable snapshot:', error);
+        return null;
     }
+}
 
-    console.log('[GitHub API] Fetching repositories from GitHub...');
+/**
+ * Split a cached repo list back into the pages it was fetched as, so a 304
+ * for page N can be answered from the repos that page held last time.
+ * @param {Object} cached - Entry from getCachedRepos()
+ * @returns {Array} One { repos, etag, lastModified } entry per page
+ */
+function splitCachedPages(cached) {
+    let offset = 0;
+    return cached.pages.map(page => {
+        const repos = cached.repos.slice(offset, offset + page.count);
+        offset += page.count;
+        return { repos, etag: page.etag, lastModified: page.lastModified };
+    });
+}
 
-    try {
-        let allRepos = [];
-        let page = 1;
-        let hasMore = true;
-
-        // Paginate through all repos
-        while (hasMore) {
-            const response = await fetch(
-                `${GITHUB_API_URL}?per_page=100&page=${page}&type=public`,
-                {
-                    headers: {
-                        'Accept': 'application/vnd.github.v3+json'
-                    }
-                }
-            );
-
-            if (!response.ok) {
-                // Handle rate limiting
-                if (response.status === 403) {
-                    const resetTime = response.headers.get('X-RateLimit-Reset');
-                    const resetDate = new Date(resetTime * 1000);
-                    throw new Error(`API rate limit exceeded. Resets at ${resetDate.toLocaleTimeString()}`);
-                }
-                throw new Error(`GitHub API error: ${response.status}`);
-            }
+/**
+ * Fetch one page of repositories, conditionally if we hold validators for it.
+ * A 304 does not count against the rate limit, which is the whole point.
+ * @param {number} page - 1-based page number
+ * @param {Object} [previous] - The cached { repos, etag, lastModified } for this page
+ * @param {string} [apiUrl=GITHUB_API_URL] - The user's or org's repos endpoint
+ * @returns {Promise<Object>} { repos, etag, lastModified, notModified }
+ */
+async function fetchRepoPage(page, previous, apiUrl = GITHUB_API_URL) {
+    const headers = {};
+    if (previous && previous.etag) headers['If-None-Match'] = previous.etag;
+    if (previous && previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+    // Rate limits and network failures reject here as GitHubErrors
+    const response = await githubFetch(
+        `${apiUrl}?per_page=${PER_PAGE}&page=${page}&type=public`,
+        { headers }
+    );
 
-            const repos = await response.json();
+    if (response.status === 304 && previous) {
+        return { ...previous, notModified: true };
+    }
 
-            if (repos.length === 0) {
-                hasMore = false;
-            } else {
-                allRepos = allRepos.concat(repos);
-                page++;
+    return {
+        repos: await response.json(),
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        notModified: false
+    };
+}
 
-                // Safety check to prevent infinite loops
-                if (page > 10) {
-                    hasMore = false;
-                }
-            }
+/**
+ * Fetch all public repositories, revalidating against a cached copy.
+ * Uses pagination to fetch all repos (API returns max 100 per page), and
+ * stops at the first short page rather than spending a request on an empty one.
+ * @param {Object|null} cached - Entry from getCachedRepos(), or null for a cold fetch
+ * @param {string} [apiUrl=GITHUB_API_URL] - The user's or org's repos endpoint
+ * @param {string} [cacheKey=CACHE_KEY] - Where to store the result
+ * @returns {Promise<Object>} { repos, changed }
+ */
+async function revalidateRepos(cached, apiUrl = GITHUB_API_URL, cacheKey = CACHE_KEY) {
+    const previousPages = cached ? splitCachedPages(cached) : [];
+    const pages = [];
+    let changed = !cached || previousPages.length === 0;
+
+    try {
+        for (let page = 1; page <= MAX_PAGES; page++) {
+            const result = await fetchRepoPage(page, previousPages[page - 1], apiUrl);
+            if (!result.notModified) changed = true;
+
+            pages.push(result);
+            if (result.repos.length < PER_PAGE) break;
         }
 
-        console.log('[GitHub API] Fetched', allRepos.length, 'repositories');
+        // Fewer pages than last time means repos went away
+        if (pages.length !== previousPages.length) changed = true;
+
+        const notModified = pages.filter(page => page.notModified).length;
+        console.log('[GitHub API] Revalidated', pages.length, 'page(s),', notModified, 'not modified');
 
-        // Cache the results
-        setCachedRepos(allRepos);
+        // Rewrite even when nothing changed, to restart the freshness window
+        setCachedRepos(pages, cacheKey);
 
-        return allRepos;
+        const repos = pages.reduce((all, page) => all.concat(page.repos), []);
+        return { repos, changed };
 
     } catch (error) {
         console.error('[GitHub API] Error fetching repos:', error);
@@ -164,149 +329,759 @@ async function fetchGitHubRepos() {
 }
 
 /**
- * Sort repositories by stars (descending) then by update date (most recent first)
+ * Turn a name-or-glob pattern into a case-insensitive matcher
+ * @param {string} pattern - Repo name, optionally with `*` / `?` wildcards
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    const source = pattern
+        .split('')
+        .map(ch => ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+        .join('');
+    return new RegExp('^' + source + '$', 'i');
+}
+
+/**
+ * Position of a repo in curation.pinned, or -1
+ * @param {Object} repo - Repository object
+ * @param {Object} [curation=REPO_CURATION] - The grid's curation rules
+ * @returns {number}
+ */
+function pinIndex(repo, curation = REPO_CURATION) {
+    const name = repo.name.toLowerCase();
+    return curation.pinned.findIndex(pinned => pinned.toLowerCase() === name);
+}
+
+/**
+ * Apply a curation's hide and exclude rules
+ * @param {Array} repos - Array of repository objects
+ * @param {Object} [curation=REPO_CURATION] - The grid's curation rules
+ * @returns {Array} The repos the grid is allowed to show
+ */
+function curateRepos(repos, curation = REPO_CURATION) {
+    const hiddenPatterns = curation.hidden.map(globToRegExp);
+    return repos.filter(repo => {
+        if (hiddenPatterns.some(pattern => pattern.test(repo.name))) return false;
+        if (pinIndex(repo, curation) !== -1) return true;
+        if (curation.excludeForks && repo.fork) return false;
+        if (curation.excludeArchived && repo.archived) return false;
+        if (curation.requireDescription && !repo.description) return false;
+        return true;
+    });
+}
+
+/**
+ * Sort repositories by one of the SORT_MODES, after the pinned repos. The
+ * default, `stars`, is stars (descending) then update date (most recent first)
  * @param {Array} repos - Array of repository objects
+ * @param {string} [mode='stars'] - Key of SORT_MODES
+ * @param {Object} [curation=REPO_CURATION] - Where the pinned order comes from
  * @returns {Array} Sorted array of repositories
  */
-function sortRepos(repos) {
-    return repos.sort((a, b) => {
-        // First sort by stars (descending)
-        if (b.stargazers_count !== a.stargazers_count) {
-            return b.stargazers_count - a.stargazers_count;
-        }
-        // Then by update date (most recent first)
-        return new Date(b.updated_at) - new Date(a.updated_at);
+function sortRepos(repos, mode = 'stars', curation = REPO_CURATION) {
+    const { compare } = SORT_MODES[mode] || SORT_MODES.stars;
+
+    // Pinned repos lead in their configured order; everything else follows
+    // the chosen mode. Unpinned repos sort as if pinned at Infinity.
+    const rank = repo => {
+        const index = pinIndex(repo, curation);
+        return index === -1 ? Infinity : index;
+    };
+
+    // Sorts a copy: the cached list keeps API order, which is how it is split
+    // back into pages for revalidation
+    return [...repos].sort((a, b) => {
+        const ra = rank(a);
+        const rb = rank(b);
+        if (ra !== rb) return ra < rb ? -1 : 1;
+        return compare(a, b);
+    });
+}
+
+/**
+ * Apply the toolbar's search and language filter
+ * @param {Array} repos - Array of repository objects
+ * @param {Object} filter - { query, language }
+ * @returns {Array} Repositories matching every search term and the language
+ */
+function filterRepos(repos, filter) {
+    const terms = filter.query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return repos.filter(repo => {
+        if (filter.language && repo.language !== filter.language) return false;
+        if (terms.length === 0) return true;
+
+        const haystack = [repo.name, repo.description || '', ...(repo.topics || [])]
+            .join(' ')
+            .toLowerCase();
+        return terms.every(term => haystack.includes(term));
     });
 }
 
+/* Octicon paths for the card glyphs: repo, star, fork */
+const ICON_REPO = 'M2 2.5A2.5 2.5 0 0 1 4.5 0h8.75a.75.75 0 0 1 .75.75v12.5a.75.75 0 0 1-.75.75h-2.5a.75.75 0 0 1 0-1.5h1.75v-2h-8a1 1 0 0 0-.714 1.7.75.75 0 1 1-1.072 1.05A2.495 2.495 0 0 1 2 11.5Zm10.5-1h-8a1 1 0 0 0-1 1v6.708A2.486 2.486 0 0 1 4.5 9h8ZM5 12.25a.25.25 0 0 1 .25-.25h3.5a.25.25 0 0 1 .25.25v3.25a.25.25 0 0 1-.4.2l-1.45-1.087a.249.249 0 0 0-.3 0L5.4 15.7a.25.25 0 0 1-.4-.2Z';
+const ICON_STAR = 'M8 .25a.75.75 0 0 1 .673.418l1.882 3.815 4.21.612a.75.75 0 0 1 .416 1.279l-3.046 2.97.719 4.192a.75.75 0 0 1-1.088.791L8 12.347l-3.766 1.98a.75.75 0 0 1-1.088-.79l.72-4.194L.818 6.374a.75.75 0 0 1 .416-1.28l4.21-.611L7.327.668A.75.75 0 0 1 8 .25Z';
+const ICON_FORK = 'M5 5.372v.878c0 .414.336.75.75.75h4.5a.75.75 0 0 0 .75-.75v-.878a2.25 2.25 0 1 1 1.5 0v.878a2.25 2.25 0 0 1-2.25 2.25h-1.5v2.128a2.251 2.251 0 1 1-1.5 0V8.5h-1.5A2.25 2.25 0 0 1 3.5 6.25v-.878a2.25 2.25 0 1 1 1.5 0ZM5 3.25a.75.75 0 1 0-1.5 0 .75.75 0 0 0 1.5 0Zm6.75.75a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5Zm-3 8.75a.75.75 0 1 0-1.5 0 .75.75 0 0 0 1.5 0Z';
+
+/**
+ * Build one of the 16px card icons
+ * @param {string} path - SVG path data
+ * @returns {SVGElement}
+ */
+function createIcon(path) {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', '0 0 16 16');
+    svg.setAttribute('fill', 'currentColor');
+    const pathEl = document.createElementNS(SVG_NS, 'path');
+    pathEl.setAttribute('d', path);
+    svg.appendChild(pathEl);
+    return svg;
+}
+
 /**
- * Create HTML for a single repository card
+ * Check that a URL from the API is an https URL on an expected GitHub host,
+ * so a card can never link to `javascript:` or somewhere else entirely
+ * @param {string} url - URL to check
+ * @param {string} [host='github.com'] - Required hostname
+ * @returns {string|null} The normalised URL, or null if it fails the check
+ */
+function safeGitHubUrl(url, host = 'github.com') {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'https:' || parsed.hostname !== host) return null;
+        return parsed.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Look up a repo in any grid's list by its full name (the card's data-repo)
+ * @param {string} fullName - e.g. "AndyFerns/Determa"
+ * @returns {Object|undefined}
+ */
+function findRepo(fullName) {
+    for (const grid of repoGrids) {
+        const repo = grid.getRepos().find(candidate => candidate.full_name === fullName);
+        if (repo) return repo;
+    }
+    return undefined;
+}
+
+/**
+ * Create a single repository card
  * @param {Object} repo - Repository object from GitHub API
- * @returns {string} HTML string for the repo card
+ * @param {Object} [curation=REPO_CURATION] - Decides whether it is marked pinned
+ * @returns {Element} The repo card, an <a> to the repository
  */
-function renderRepoCard(repo) {
+function renderRepoCard(repo, curation = REPO_CURATION) {
     const languageType = LANGUAGE_TYPES[repo.language] || LANGUAGE_TYPES.default;
     const description = repo.description || 'No description provided';
     const truncatedDesc = description.length > 100
         ? description.substring(0, 100) + '...'
         : description;
 
-    return `
-        <a href="${repo.html_url}" target="_blank" rel="noopener noreferrer" class="repo-card" data-reveal="auto">
-            <div class="repo-card-header">
-                <svg viewBox="0 0 16 16" fill="currentColor">
-                    <path d="M2 2.5A2.5 2.5 0 0 1 4.5 0h8.75a.75.75 0 0 1 .75.75v12.5a.75.75 0 0 1-.75.75h-2.5a.75.75 0 0 1 0-1.5h1.75v-2h-8a1 1 0 0 0-.714 1.7.75.75 0 1 1-1.072 1.05A2.495 2.495 0 0 1 2 11.5Zm10.5-1h-8a1 1 0 0 0-1 1v6.708A2.486 2.486 0 0 1 4.5 9h8ZM5 12.25a.25.25 0 0 1 .25-.25h3.5a.25.25 0 0 1 .25.25v3.25a.25.25 0 0 1-.4.2l-1.45-1.087a.249.249 0 0 0-.3 0L5.4 15.7a.25.25 0 0 1-.4-.2Z"/>
-                </svg>
-                <span class="repo-name">${repo.name}</span>
-            </div>
-            <p class="repo-description">${truncatedDesc}</p>
-            <div class="repo-meta">
-                ${repo.language ? `
-                    <span class="tech-tag" data-type="${languageType}">${repo.language}</span>
-                ` : ''}
-                ${repo.stargazers_count > 0 ? `
-                    <span class="repo-meta-item">
-                        <svg viewBox="0 0 16 16" fill="currentColor">
-                            <path d="M8 .25a.75.75 0 0 1 .673.418l1.882 3.815 4.21.612a.75.75 0 0 1 .416 1.279l-3.046 2.97.719 4.192a.75.75 0 0 1-1.088.791L8 12.347l-3.766 1.98a.75.75 0 0 1-1.088-.79l.72-4.194L.818 6.374a.75.75 0 0 1 .416-1.28l4.21-.611L7.327.668A.75.75 0 0 1 8 .25Z"/>
-                        </svg>
-                        ${repo.stargazers_count}
-                    </span>
-                ` : ''}
-                ${repo.forks_count > 0 ? `
-                    <span class="repo-meta-item">
-                        <svg viewBox="0 0 16 16" fill="currentColor">
-                            <path d="M5 5.372v.878c0 .414.336.75.75.75h4.5a.75.75 0 0 0 .75-.75v-.878a2.25 2.25 0 1 1 1.5 0v.878a2.25 2.25 0 0 1-2.25 2.25h-1.5v2.128a2.251 2.251 0 1 1-1.5 0V8.5h-1.5A2.25 2.25 0 0 1 3.5 6.25v-.878a2.25 2.25 0 1 1 1.5 0ZM5 3.25a.75.75 0 1 0-1.5 0 .75.75 0 0 0 1.5 0Zm6.75.75a.75.75 0 1 0 0-1.5.75.75 0 0 0 0 1.5Zm-3 8.75a.75.75 0 1 0-1.5 0 .75.75 0 0 0 1.5 0Z"/>
-                        </svg>
-                        ${repo.forks_count}
-                    </span>
-                ` : ''}
-            </div>
-        </a>
-    `;
+    // A bad html_url still gets a working card, pointed at the owner
+    const owner = repo.owner && repo.owner.login ? repo.owner.login : GITHUB_USERNAME;
+    const href = safeGitHubUrl(repo.html_url) || `https://github.com/${owner}`;
+    const languagesUrl = safeGitHubUrl(repo.languages_url, 'api.github.com');
+    const pinned = pinIndex(repo, curation) !== -1;
+
+    return createEl('a', {
+        href,
+        target: '_blank',
+        rel: 'noopener noreferrer',
+        class: pinned ? 'repo-card is-pinned' : 'repo-card',
+        'data-repo': repo.full_name,
+        'data-reveal': 'auto'
+    },
+        createEl('div', { class: 'repo-card-header' },
+            createIcon(ICON_REPO),
+            createEl('span', { class: 'repo-name' }, repo.name),
+            pinned && createEl('span', { class: 'repo-pin' }, 'Pinned')
+        ),
+        createEl('p', { class: 'repo-description' }, truncatedDesc),
+        repo.language && languagesUrl && createEl('span', {
+            class: 'repo-langbar',
+            'data-languages-url': languagesUrl,
+            'aria-hidden': 'true'
+        }),
+        createEl('div', { class: 'repo-meta' },
+            repo.language && createEl('span', { class: 'tech-tag', 'data-type': languageType }, repo.language),
+            repo.stargazers_count > 0 && createEl('span', { class: 'repo-meta-item' },
+                createIcon(ICON_STAR),
+                repo.stargazers_count
+            ),
+            repo.forks_count > 0 && createEl('span', { class: 'repo-meta-item' },
+                createIcon(ICON_FORK),
+                repo.forks_count
+            )
+        )
+    );
 }
 
 /**
  * Render loading skeleton cards
  * @param {number} count - Number of skeleton cards to show
- * @returns {string} HTML string for skeleton cards
+ * @returns {Array<Element>} Skeleton cards
  */
 function renderLoadingSkeletons(count = 6) {
-    return Array(count).fill(`
-        <div class="repo-card">
-            <div class="skeleton" style="height: 20px; width: 60%; margin-bottom: 12px;"></div>
-            <div class="skeleton" style="height: 14px; width: 100%; margin-bottom: 8px;"></div>
-            <div class="skeleton" style="height: 14px; width: 80%; margin-bottom: 16px;"></div>
-            <div class="skeleton" style="height: 14px; width: 40%;"></div>
-        </div>
-    `).join('');
+    const bars = [
+        'height: 20px; width: 60%; margin-bottom: 12px;',
+        'height: 14px; width: 100%; margin-bottom: 8px;',
+        'height: 14px; width: 80%; margin-bottom: 16px;',
+        'height: 14px; width: 40%;'
+    ];
+    return Array.from({ length: count }, () => createEl('div', { class: 'repo-card' },
+        ...bars.map(style => createEl('div', { class: 'skeleton', style }))
+    ));
 }
 
 /**
- * Render error message
- * @param {string} message - Error message to display
- * @returns {string} HTML string for error message
+ * Render error message.
+ *
+ * With an onRetry callback, a rate-limited failure (a GitHubError with a
+ * resetAt) counts down to the reset in the panel and then calls it, and a
+ * network failure gets a "try again" button.
+ * @param {Error|string} error - What went wrong; GitHubErrors get tailored help
+ * @param {string} [owner=GITHUB_USERNAME] - Whose GitHub page to point at instead
+ * @param {Function} [onRetry] - Re-runs whatever failed
+ * @returns {Element} The error panel
  */
-function renderError(message) {
-    return `
-        <div class="error-message" style="grid-column: 1 / -1;">
-            <p>⚠️ ${message}</p>
-            <p style="font-size: 0.85rem; margin-top: 0.5rem; color: var(--text-muted);">
-                Please check back later or visit 
-                <a href="https://github.com/${GITHUB_USERNAME}" target="_blank" rel="noopener noreferrer">
-                    my GitHub profile
-                </a> directly.
-            </p>
-        </div>
-    `;
+function renderError(error, owner = GITHUB_USERNAME, onRetry = null) {
+    const message = typeof error === 'string' ? error : error.message;
+    const kind = error && error.kind;
+    const hint = { style: 'font-size: 0.85rem; margin-top: 0.5rem; color: var(--text-muted);' };
+    const profileLink = createEl('a', {
+        href: `https://github.com/${owner}`,
+        target: '_blank',
+        rel: 'noopener noreferrer'
+    }, owner === GITHUB_USERNAME ? 'my GitHub profile' : `${owner} on GitHub`);
+
+    let help;
+    if (onRetry && error && error.resetAt) {
+        // role="timer" keeps screen readers from announcing every tick
+        const clock = createEl('span', { class: 'error-countdown', role: 'timer' });
+        help = createEl('p', hint, 'Retrying automatically in ', clock, '. Or visit ', profileLink, ' directly.');
+        startGitHubCountdown(clock, error.resetAt, onRetry);
+    } else if (onRetry && kind === 'network') {
+        help = createEl('p', hint,
+            createEl('button', { type: 'button', class: 'btn btn-ghost btn-sm error-retry' }, 'Try again'),
+            ' or visit ', profileLink, ' directly.');
+        help.querySelector('.error-retry').addEventListener('click', onRetry, { once: true });
+    } else {
+        help = createEl('p', hint, 'Please check back later or visit ', profileLink, ' directly.');
+    }
+
+    return createEl('div', { class: 'error-message', style: 'grid-column: 1 / -1;' },
+        createEl('p', {}, '⚠️ ' + message),
+        help
+    );
 }
 
 /**
- * Initialize the GitHub repositories section
- * Fetches repos and renders them to the container
+ * Read a grid's toolbar state out of the URL hash
+ * @param {string} hashId - The id the grid's state is kept under
+ * @param {string} defaultSort - The grid's default sort mode
+ * @returns {Object} { query, language, sort }, defaults where absent
  */
-async function initGitHubRepos() {
-    const container = document.getElementById('repos-grid');
-    if (!container) {
-        console.warn('[GitHub API] Repos container not found');
-        return;
+function readRepoFilterFromHash(hashId, defaultSort) {
+    const [id, query] = window.location.hash.slice(1).split('?');
+    const filter = { query: '', language: '', sort: defaultSort };
+    if (id !== hashId || !query) return filter;
+
+    const params = new URLSearchParams(query);
+    filter.query = params.get('q') || '';
+    filter.language = params.get('lang') || '';
+    if (SORT_MODES[params.get('sort')]) filter.sort = params.get('sort');
+    return filter;
+}
+
+/**
+ * Mirror a grid's toolbar state into the URL hash so a filtered view can be
+ * linked. replaceState rather than pushState: each keystroke is not a history entry.
+ * @param {string} hashId - The id the grid's state is kept under
+ * @param {Object} filter - { query, language, sort }
+ * @param {string} defaultSort - Left out of the hash when it is the sort in use
+ */
+function writeRepoFilterToHash(hashId, filter, defaultSort) {
+    const params = new URLSearchParams();
+    if (filter.query) params.set('q', filter.query);
+    if (filter.language) params.set('lang', filter.language);
+    if (filter.sort !== defaultSort) params.set('sort', filter.sort);
+
+    const query = params.toString();
+    const currentId = window.location.hash.slice(1).split('?')[0];
+
+    // Back at the defaults: drop the query, but do not claim the hash if some
+    // other section owns it
+    if (!query && currentId !== hashId) return;
+
+    const hash = '#' + hashId + (query ? '?' + query : '');
+    if (hash !== window.location.hash) history.replaceState(null, '', hash);
+}
+
+/**
+ * Work out a grid's options from its container's data- attributes, falling
+ * back to the site-wide constants at the top of this file
+ * @param {Element} container - The grid element
+ * @returns {Object} Options as accepted by createRepoGrid()
+ */
+function readRepoGridOptions(container) {
+    const data = container.dataset;
+    const options = {};
+
+    if (data.org) {
+        options.owner = data.org;
+        options.ownerType = 'org';
+    } else if (data.user) {
+        options.owner = data.user;
+        options.ownerType = 'user';
     }
+    if (parseInt(data.limit, 10) > 0) options.limit = parseInt(data.limit, 10);
+    if (SORT_MODES[data.sort]) options.sort = data.sort;
+    if (data.cacheKey) options.cacheKey = data.cacheKey;
+    if (data.snapshot !== undefined) options.snapshot = data.snapshot || null;
+    if (data.hash !== undefined) options.hash = data.hash || null;
+    if (data.stats !== undefined) options.stats = data.stats !== 'false';
 
-    // Show loading state
-    container.innerHTML = renderLoadingSkeletons(6);
+    return options;
+}
 
-    try {
-        // Fetch repositories
-        const repos = await fetchGitHubRepos();
+/**
+ * Build a repository grid in a container.
+ *
+ * Every grid has its own fetched list, cache entry, toolbar state and paging,
+ * so several can share a page (say, your repos and your org's). The optional
+ * controls are found by class inside `root`; any that are missing are simply
+ * not wired up:
+ *   .repo-toolbar (with .repo-search input, .repo-sort select,
+ *   .repo-filter-status and .repo-langs), .repo-snapshot-notice,
+ *   .repo-more (with its button) and .repo-more-status.
+ *
+ * Options, each also settable with a data- attribute on the container
+ * (options passed here win over the attributes):
+ * - owner / ownerType : whose repos; `data-user="name"` or `data-org="name"`.
+ *                       Defaults to GITHUB_USERNAME.
+ * - limit             : cards shown up front and per "load more" (`data-limit`).
+ *                       Defaults to REPO_PAGE_SIZE.
+ * - sort              : default key of SORT_MODES (`data-sort`)
+ * - cacheKey          : localStorage key (`data-cache-key`). Defaults to
+ *                       CACHE_KEY for GITHUB_USERNAME and a per-owner key otherwise.
+ * - snapshot          : bundled snapshot URL, or null (`data-snapshot`).
+ *                       Defaults to SNAPSHOT_URL for GITHUB_USERNAME only.
+ * - hash              : id the toolbar state is kept under in the URL hash,
+ *                       or null for none (`data-hash`). Defaults to the
+ *                       enclosing section's id, unless another grid took it.
+ * - stats             : whether this grid feeds the About section stat cards
+ *                       (`data-stats`). Defaults to false.
+ * - curation          : REPO_CURATION-shaped rules. Defaults to REPO_CURATION.
+ * - root              : where to look for the controls. Defaults to the
+ *                       enclosing <section>.
+ *
+ * @param {Element} container - The element the cards are rendered into
+ * @param {Object} [options] - See above
+ * @returns {Object} The grid: { container, options, load, refresh, getRepos }
+ */
+function createRepoGrid(container, options = {}) {
+    const merged = { ...readRepoGridOptions(container), ...options };
+    const owner = merged.owner || GITHUB_USERNAME;
+    const ownerType = merged.ownerType === 'org' ? 'org' : 'user';
+    const isSiteOwner = ownerType === 'user' && owner === GITHUB_USERNAME;
+    const sectionId = container.closest('section[id]') ? container.closest('section[id]').id : null;
+    const hashTaken = repoGrids.some(grid => grid.options.hash === sectionId);
+
+    const config = {
+        owner,
+        ownerType,
+        apiUrl: `https://api.github.com/${ownerType === 'org' ? 'orgs' : 'users'}/${owner}/repos`,
+        limit: merged.limit || REPO_PAGE_SIZE,
+        sort: SORT_MODES[merged.sort] ? merged.sort : 'stars',
+        cacheKey: merged.cacheKey || (isSiteOwner ? CACHE_KEY : `${CACHE_KEY}:${ownerType}:${owner}`),
+        snapshot: merged.snapshot !== undefined ? merged.snapshot : (isSiteOwner ? SNAPSHOT_URL : null),
+        hash: merged.hash !== undefined ? merged.hash : (hashTaken ? null : sectionId),
+        stats: Boolean(merged.stats),
+        curation: merged.curation || REPO_CURATION,
+        root: merged.root || container.closest('section') || document
+    };
+
+    const find = selector => config.root.querySelector(selector);
+    const controls = {
+        toolbar: find('.repo-toolbar'),
+        search: find('.repo-search input'),
+        sort: find('.repo-sort select'),
+        status: find('.repo-filter-status'),
+        langs: find('.repo-langs'),
+        notice: find('.repo-snapshot-notice'),
+        more: find('.repo-more'),
+        moreButton: find('.repo-more button'),
+        moreStatus: find('.repo-more-status')
+    };
+
+    /* The full fetched list and the toolbar state it is filtered through. The
+       grid is always re-derived from these two, never patched in place. */
+    let repoList = [];
+    let repoFilter = { query: '', language: '', sort: config.sort };
+
+    /* The filtered, sorted list the grid is paging through, and how much of it
+       is on screen. A filter change resets the count; a refresh keeps it. */
+    let repoView = [];
+    let visibleRepoCount = config.limit;
+
+    const renderCard = repo => renderRepoCard(repo, config.curation);
+
+    /**
+     * Build the language chips from the languages actually present in the
+     * fetched repos, most common first, coloured with the same LANGUAGE_TYPES
+     * badges as the cards
+     */
+    function renderLanguageChips() {
+        if (!controls.langs) return;
+
+        const counts = {};
+        repoList.forEach(repo => {
+            if (repo.language) counts[repo.language] = (counts[repo.language] || 0) + 1;
+        });
+        const languages = Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+
+        controls.langs.replaceChildren(
+            createEl('button', { type: 'button', class: 'repo-chip', 'data-lang': '' }, 'all'),
+            ...languages.map(language => createEl('button', {
+                type: 'button',
+                class: 'repo-chip tech-tag',
+                'data-lang': language,
+                'data-type': LANGUAGE_TYPES[language] || LANGUAGE_TYPES.default
+            }, language))
+        );
+
+        syncToolbar();
+    }
+
+    /**
+     * Make the toolbar controls show the current repoFilter, whichever way it
+     * changed (typing, a chip, or a pasted link)
+     */
+    function syncToolbar() {
+        if (controls.search && controls.search.value !== repoFilter.query) controls.search.value = repoFilter.query;
+        if (controls.sort) controls.sort.value = repoFilter.sort;
+        if (!controls.langs) return;
+
+        controls.langs.querySelectorAll('.repo-chip').forEach(chip => {
+            chip.setAttribute('aria-pressed', chip.dataset.lang === repoFilter.language);
+        });
+    }
 
-        // Sort by stars then update date
-        const sortedRepos = sortRepos(repos);
+    /**
+     * Render the repositories that pass the toolbar into the grid and hand
+     * the cards to the reveal system. Only the first visibleRepoCount are
+     * drawn; the rest wait behind the "load more" control.
+     */
+    function renderFiltered() {
+        repoView = sortRepos(filterRepos(repoList, repoFilter), repoFilter.sort, config.curation);
+        const visibleRepos = repoView.slice(0, visibleRepoCount);
 
-        // Limit to MAX_VISIBLE_REPOS - rest are accessible via GitHub link
-        const visibleRepos = sortedRepos.slice(0, MAX_VISIBLE_REPOS);
+        container.replaceChildren(...(visibleRepos.length
+            ? visibleRepos.map(renderCard)
+            : [createEl('p', { class: 'repo-empty' },
+                'No repositories match. ',
+                createEl('button', { type: 'button', class: 'repo-reset' }, 'Clear filters')
+            )]));
 
-        // Render limited repos
-        container.innerHTML = visibleRepos.map(renderRepoCard).join('');
+        if (controls.status) {
+            controls.status.textContent = repoView.length === repoList.length
+                ? `${repoList.length} repos`
+                : `${repoView.length} of ${repoList.length} repos`;
+        }
 
         // Hand the freshly injected cards to the shared reveal observer so
         // they animate in on the same choreography as the static sections.
         container.setAttribute('data-stagger', '');
         if (typeof registerReveals === 'function') registerReveals(container);
+        if (typeof observeLanguageBars === 'function') observeLanguageBars(container);
 
-    } catch (error) {
-        container.innerHTML = renderError(error.message);
+        updateLoadMore();
+    }
+
+    /**
+     * Append the next page of cards without touching the ones already shown,
+     * so their reveal state and any focus inside the grid survive
+     * @param {boolean} moveFocus - Whether to focus the first new card (true
+     *   when the visitor asked for the page, false when a scroll triggered it)
+     */
+    function loadMore(moveFocus) {
+        const start = container.querySelectorAll('.repo-card').length;
+        const nextRepos = repoView.slice(start, start + config.limit);
+        if (nextRepos.length === 0) return;
+
+        visibleRepoCount = start + nextRepos.length;
+        container.append(...nextRepos.map(renderCard));
+
+        // Stagger from the first new card, so the new page animates in as its
+        // own sequence instead of inheriting delays from its position in the grid
+        if (typeof registerReveals === 'function') registerReveals(container, start);
+        if (typeof observeLanguageBars === 'function') observeLanguageBars(container);
+
+        if (controls.moreStatus) {
+            controls.moreStatus.textContent =
+                `Loaded ${nextRepos.length} more. Showing ${visibleRepoCount} of ${repoView.length} repositories.`;
+        }
+
+        // The button the visitor just pressed may be about to disappear; put
+        // them on the first card they have not seen yet rather than lose focus
+        if (moveFocus) container.children[start].focus();
+
+        updateLoadMore();
+    }
+
+    /**
+     * Show or hide the "load more" control and keep its count current
+     */
+    function updateLoadMore() {
+        if (!controls.more || !controls.moreButton) return;
+
+        const remaining = repoView.length - Math.min(visibleRepoCount, repoView.length);
+        controls.more.hidden = remaining <= 0;
+        controls.moreButton.textContent =
+            `load more (${Math.min(remaining, config.limit)} of ${remaining} left)`;
+    }
+
+    /**
+     * Wire up the "load more" control, and the optional observer that presses
+     * it for you once it scrolls into view
+     */
+    function initLoadMore() {
+        if (!controls.more || !controls.moreButton) return;
+
+        controls.moreButton.addEventListener('click', () => loadMore(true));
+
+        if (!REPO_INFINITE_SCROLL || !('IntersectionObserver' in window)) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting) && !controls.more.hidden) {
+                loadMore(false);
+                // The observer only reports changes; if a short page left the
+                // control in view, observing afresh reports it again
+                observer.unobserve(controls.more);
+                observer.observe(controls.more);
+            }
+        }, {
+            root: null,
+            // Start loading a little before the control is actually reached
+            rootMargin: '0px 0px 200px 0px'
+        });
+        observer.observe(controls.more);
+    }
+
+    /**
+     * Replace the fetched list and re-render everything derived from it
+     * @param {Array} repos - Array of repository objects
+     * @param {string} [source='api'] - 'api' or 'snapshot', as on a cache entry
+     */
+    function renderRepos(repos, source = 'api') {
+        repoList = curateRepos(repos, config.curation);
+
+        // The About section stat cards are derived from the same list, before
+        // curation: they count every public repo, not just the ones on show
+        if (config.stats && typeof renderRepoStats === 'function') renderRepoStats(repos, source);
+
+        renderLanguageChips();
+        renderFiltered();
     }
+
+    /**
+     * Wire up the toolbar above the grid. It ships `hidden` in the markup,
+     * since without JS there is nothing for it to filter.
+     */
+    function initToolbar() {
+        // Scrolling to a `#github-repos?…` deep link is initHashNavigation()'s
+        // job (animations.js), which allows for the nav
+        if (config.hash) repoFilter = readRepoFilterFromHash(config.hash, config.sort);
+
+        function update(changes) {
+            repoFilter = { ...repoFilter, ...changes };
+            visibleRepoCount = config.limit;
+            syncToolbar();
+            if (config.hash) writeRepoFilterToHash(config.hash, repoFilter, config.sort);
+            renderFiltered();
+        }
+
+        // The empty-state "Clear filters" button is drawn inside the grid
+        container.addEventListener('click', (e) => {
+            if (!e.target.closest('.repo-reset')) return;
+            update({ query: '', language: '' });
+            if (controls.search) controls.search.focus();
+        });
+
+        if (config.hash) {
+            // A pasted or edited link changes the hash without a reload
+            window.addEventListener('hashchange', () => {
+                if (window.location.hash.slice(1).split('?')[0] !== config.hash) return;
+                repoFilter = readRepoFilterFromHash(config.hash, config.sort);
+                visibleRepoCount = config.limit;
+                syncToolbar();
+                renderFiltered();
+            });
+        }
+
+        if (!controls.toolbar) return;
+
+        if (controls.sort) {
+            controls.sort.replaceChildren(...Object.keys(SORT_MODES)
+                .map(mode => createEl('option', { value: mode }, SORT_MODES[mode].label)));
+            controls.sort.addEventListener('change', () => update({ sort: controls.sort.value }));
+        }
+
+        if (controls.search) {
+            const onSearch = typeof debounce === 'function'
+                ? debounce(() => update({ query: controls.search.value.trim() }), 150)
+                : () => update({ query: controls.search.value.trim() });
+            controls.search.addEventListener('input', onSearch);
+        }
+
+        if (controls.langs) {
+            controls.langs.addEventListener('click', (e) => {
+                const chip = e.target.closest('.repo-chip');
+                if (!chip) return;
+                // Pressing the active chip again clears it, like any toggle
+                const language = chip.dataset.lang === repoFilter.language ? '' : chip.dataset.lang;
+                update({ language });
+            });
+        }
+
+        syncToolbar();
+        controls.toolbar.hidden = false;
+    }
+
+    /**
+     * Show, update or hide the "data as of" notice above the grid. It is
+     * shown only while the grid is drawn from the bundled snapshot.
+     * @param {Object|null} cached - The entry on screen, or null once live data replaced it
+     * @param {string} [reason] - Why live data is unavailable, if we know
+     */
+    function renderSnapshotNotice(cached, reason) {
+        if (!controls.notice) return;
+
+        if (!cached || cached.source !== 'snapshot') {
+            controls.notice.hidden = true;
+            return;
+        }
+
+        const date = new Date(cached.timestamp).toLocaleDateString([], {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+        const because = reason ? ` (${reason.replace(/\.$/, '')})` : '';
+        controls.notice.textContent = `Showing saved data as of ${date}${because}.`;
+        controls.notice.hidden = false;
+    }
+
+    /**
+     * Fill the grid. Renders cached repos immediately when there are any,
+     * fresh or not. A first visit is seeded from the snapshot (if the grid
+     * has one), so skeletons only show while that one same-origin file loads,
+     * and the error panel only when it is missing too.
+     * @returns {Promise<void>}
+     */
+    async function load() {
+        let cached = getCachedRepos(config.cacheKey);
+
+        if (!cached) {
+            // Show loading state
+            container.replaceChildren(...renderLoadingSkeletons(6));
+            if (config.snapshot) cached = await seedCacheFromSnapshot(config.snapshot, config.cacheKey);
+        }
+
+        if (cached) {
+            renderRepos(cached.repos, cached.source);
+            renderSnapshotNotice(cached);
+            if (!cached.isStale) return;
+
+            // Stale: keep what is on screen and swap in fresh data only if the
+            // revalidation found a change. A failure here is not worth an error
+            // panel over perfectly good (if old) cards.
+            try {
+                const { repos, changed } = await revalidateRepos(cached, config.apiUrl, config.cacheKey);
+                if (changed) renderRepos(repos);
+                renderSnapshotNotice(null);
+            } catch (error) {
+                console.warn('[GitHub API] Background revalidation failed, keeping cached repos');
+                renderSnapshotNotice(cached, error.message);
+            }
+            return;
+        }
+
+        try {
+            const { repos } = await revalidateRepos(null, config.apiUrl, config.cacheKey);
+            renderRepos(repos);
+        } catch (error) {
+            container.replaceChildren(renderError(error, config.owner, () => load()));
+        }
+    }
+
+    /**
+     * Drop this grid's cache and fetch again
+     * @returns {Promise<void>}
+     */
+    function refresh() {
+        localStorage.removeItem(config.cacheKey);
+        return load();
+    }
+
+    initToolbar();
+    initLoadMore();
+
+    const grid = {
+        container,
+        options: config,
+        load,
+        refresh,
+        getRepos: () => repoList
+    };
+    repoGrids.push(grid);
+
+    load();
+    return grid;
 }
 
 /**
- * Force refresh repositories (bypass cache)
+ * Initialize the GitHub repositories section: the site's own #repos-grid,
+ * plus any other element marked `data-repo-grid`. Calling it again only
+ * reloads grids that already exist.
+ */
+function initGitHubRepos() {
+    const containers = [
+        document.getElementById('repos-grid'),
+        ...document.querySelectorAll('[data-repo-grid]')
+    ].filter((el, index, all) => el && all.indexOf(el) === index);
+
+    if (containers.length === 0) {
+        console.warn('[GitHub API] Repos container not found');
+        return;
+    }
+
+    containers.forEach(container => {
+        const existing = repoGrids.find(grid => grid.container === container);
+        if (existing) existing.load();
+        else createRepoGrid(container);
+    });
+}
+
+/**
+ * Force refresh repositories (bypass cache) in every grid
  * Can be called manually for debugging
  */
 function refreshGitHubRepos() {
-    localStorage.removeItem(CACHE_KEY);
-    initGitHubRepos();
+    if (repoGrids.length === 0) {
+        localStorage.removeItem(CACHE_KEY);
+        initGitHubRepos();
+        return;
+    }
+    repoGrids.forEach(grid => grid.refresh());
 }
 
 // Export for potential module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { initGitHubRepos, refreshGitHubRepos };
+    module.exports = { initGitHubRepos, refreshGitHubRepos, createRepoGrid };
 }
@@ -0,0 +1,240 @@
+/**
+ * ============================================================================
+ * GITHUB-CLIENT.JS - One rate-limit-aware front door for every GitHub call
+ * ============================================================================
+ *
+ * Every script that talks to api.github.com goes through githubFetch(), so
+ * the page keeps a single picture of the rate limit:
+ *
+ * - X-RateLimit-Remaining / -Reset are read from every response (304s
+ *   included) and remembered across reloads, so a visit after the budget ran
+ *   out does not spend a request to find that out again.
+ * - Once the budget is down to GITHUB_LOW_BUDGET calls, requests marked
+ *   `essential: false` (language bars, the activity log) are refused, which
+ *   saves what is left for the repo list and READMEs.
+ * - A primary limit (403/429 with Remaining 0) fails fast with the reset time.
+ * - A secondary limit (429, or a 403 with Retry-After or budget left) waits
+ *   Retry-After, or backs off exponentially, and tries again a few times.
+ * - Failures are GitHubError instances whose `kind` says which: 'network',
+ *   'rate-limit', 'budget' or 'api', so each can get its own message.
+ *
+ * startGitHubCountdown() drives the live "retrying in m:ss" line in the
+ * error panel (see renderError() in github-api.js). It waits at least
+ * GITHUB_MIN_RETRY_MS, doubling with each automatic retry in a row, so a
+ * reset time already in the past (a skewed clock, say) cannot turn repeated
+ * 403s into a retry loop.
+ *
+ * TO REMOVE: not optional; github-api.js, repo-languages.js, repo-readme.js
+ * and github-activity.js all call githubFetch().
+ * ============================================================================
+ */
+
+const GITHUB_RATE_KEY = 'github_rate_limit';
+const GITHUB_LOW_BUDGET = 10; // Below this many calls left, non-essential calls are refused
+const GITHUB_MAX_RETRIES = 3; // Attempts after the first, for secondary limits
+const GITHUB_BACKOFF_BASE_MS = 2000; // First backoff without Retry-After; doubles each time
+const GITHUB_MAX_INLINE_WAIT_MS = 30 * 1000; // Longer waits are handed to the caller instead
+const GITHUB_MIN_RETRY_MS = 5000; // Shortest countdown before an automatic retry; doubles per retry in a row
+const GITHUB_MAX_RETRY_MS = 15 * 60 * 1000; // Where that doubling stops
+
+/**
+ * A failed GitHub call.
+ * kind: 'network' (never reached GitHub), 'rate-limit' (primary or secondary
+ * limit), 'budget' (refused locally to save calls) or 'api' (any other error
+ * status). resetAt is the epoch ms when retrying makes sense, where known.
+ */
+class GitHubError extends Error {
+    constructor(message, { kind, status = null, resetAt = null } = {}) {
+        super(message);
+        this.name = 'GitHubError';
+        this.kind = kind;
+        this.status = status;
+        this.resetAt = resetAt;
+    }
+}
+
+/* Last known budget: { limit, remaining, resetAt } */
+let githubRateLimit = readGitHubRateLimit();
+
+/* Automatic retries since the last call that got through */
+let githubAutoRetries = 0;
+
+/**
+ * Read the remembered budget, dropping it once its window has reset
+ * @returns {Object|null} { limit, remaining, resetAt }
+ */
+function readGitHubRateLimit() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(GITHUB_RATE_KEY));
+        return stored && stored.resetAt > Date.now() ? stored : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Update the budget from a response's headers
+ * @param {Response} response
+ */
+function trackGitHubRateLimit(response) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    const reset = response.headers.get('X-RateLimit-Reset');
+    if (remaining === null || reset === null) return;
+
+    githubRateLimit = {
+        limit: parseInt(response.headers.get('X-RateLimit-Limit'), 10) || null,
+        remaining: parseInt(remaining, 10),
+        resetAt: parseInt(reset, 10) * 1000
+    };
+
+    try {
+        localStorage.setItem(GITHUB_RATE_KEY, JSON.stringify(githubRateLimit));
+    } catch (error) {
+        // Not worth a warning; the in-memory copy still works for this visit
+    }
+}
+
+/**
+ * The current budget, or null if no call has reported one (or it has reset)
+ * @returns {Object|null} { limit, remaining, resetAt }
+ */
+function getGitHubRateLimit() {
+    if (githubRateLimit && githubRateLimit.resetAt <= Date.now()) githubRateLimit = null;
+    return githubRateLimit;
+}
+
+/**
+ * Resolve after a delay
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function waitFor(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch from the GitHub API through the shared budget.
+ *
+ * Resolves with the Response for 2xx, 304, and any status listed in
+ * `options.accept` (e.g. 404 for "this repo has no README"); everything else
+ * rejects with a GitHubError.
+ * @param {string} url - Full api.github.com URL
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra headers (conditional ones, say)
+ * @param {boolean} [options.essential=true] - false for calls the page can do without
+ * @param {Array<number>} [options.accept=[]] - Error statuses the caller handles itself
+ * @returns {Promise<Response>}
+ */
+async function githubFetch(url, { headers = {}, essential = true, accept = [] } = {}) {
+    const budget = getGitHubRateLimit();
+    if (budget && budget.remaining === 0) {
+        throw new GitHubError('GitHub API rate limit reached.', { kind: 'rate-limit', resetAt: budget.resetAt });
+    }
+    if (budget && !essential && budget.remaining <= GITHUB_LOW_BUDGET) {
+        throw new GitHubError('Saving the last few GitHub API calls for the repo list.', {
+            kind: 'budget',
+            resetAt: budget.resetAt
+        });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, {
+                headers: { 'Accept': 'application/vnd.github.v3+json', ...headers }
+            });
+        } catch (error) {
+            throw new GitHubError("Couldn't reach GitHub. Check your connection and try again.", { kind: 'network' });
+        }
+
+        trackGitHubRateLimit(response);
+
+        if (response.ok || response.status === 304 || accept.includes(response.status)) {
+            githubAutoRetries = 0;
+            return response;
+        }
+
+        if (response.status !== 403 && response.status !== 429) {
+            throw new GitHubError(`GitHub API error: ${response.status}`, { kind: 'api', status: response.status });
+        }
+
+        const remaining = response.headers.get('X-RateLimit-Remaining');
+        // NaN when absent; `Retry-After: 0` is a valid "retry now"
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+
+        // Primary limit: nothing to do but wait for the window to reset
+        if (remaining === '0' && !Number.isFinite(retryAfter)) {
+            const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+            throw new GitHubError('GitHub API rate limit reached.', {
+                kind: 'rate-limit',
+                status: response.status,
+                resetAt: reset ? reset * 1000 : Date.now() + 60 * 60 * 1000
+            });
+        }
+
+        // A 403 with no rate-limit headers at all is a plain "forbidden"
+        if (response.status === 403 && !Number.isFinite(retryAfter) && remaining === null) {
+            throw new GitHubError(`GitHub API error: ${response.status}`, { kind: 'api', status: response.status });
+        }
+
+        // Secondary limit: Retry-After if given, exponential backoff if not
+        const wait = Number.isFinite(retryAfter) ? retryAfter * 1000 : GITHUB_BACKOFF_BASE_MS * 2 ** attempt;
+        if (attempt >= GITHUB_MAX_RETRIES || wait > GITHUB_MAX_INLINE_WAIT_MS) {
+            throw new GitHubError('GitHub is asking us to slow down.', {
+                kind: 'rate-limit',
+                status: response.status,
+                resetAt: Date.now() + wait
+            });
+        }
+
+        console.warn(`[GitHub] Secondary rate limit, retrying in ${Math.round(wait / 1000)}s`);
+        await waitFor(wait);
+    }
+}
+
+/**
+ * Format a remaining duration as m:ss, or h:mm:ss past an hour
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatCountdown(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Tick a countdown in an element once a second, then call onDone at zero.
+ * Stops quietly if the element is removed from the page first. The element
+ * may be attached right after this call; the first check waits a tick.
+ *
+ * The countdown never runs shorter than GITHUB_MIN_RETRY_MS, doubled for
+ * every automatic retry since a call last got through.
+ * @param {Element} el - Receives the m:ss text
+ * @param {number} resetAt - Epoch ms to count down to
+ * @param {Function} onDone - Called once, at zero
+ */
+function startGitHubCountdown(el, resetAt, onDone) {
+    const minWait = Math.min(GITHUB_MIN_RETRY_MS * 2 ** githubAutoRetries, GITHUB_MAX_RETRY_MS);
+    const target = Math.max(resetAt, Date.now() + minWait);
+    el.textContent = formatCountdown(target - Date.now());
+
+    function tick() {
+        if (!el.isConnected) {
+            clearInterval(timer);
+            return;
+        }
+        const left = target - Date.now();
+        el.textContent = formatCountdown(left);
+        if (left <= 0) {
+            clearInterval(timer);
+            githubAutoRetries++;
+            onDone();
+        }
+    }
+
+    const timer = setInterval(tick, 1000);
+    setTimeout(tick, 0);
+}
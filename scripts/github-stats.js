@@ -0,0 +1,177 @@
+/**
+ * ============================================================================
+ * GITHUB-STATS.JS - Live numbers for the About section stat cards
+ * ============================================================================
+ *
+ * github-api.js already holds the full repo list, so the stat cards are
+ * derived from it rather than hand-maintained: renderRepos() calls
+ * renderRepoStats() every time it gets a new list, cached or fresh. A list
+ * from the bundled snapshot is skipped: it can be months old, and the markup
+ * is a better fallback than numbers that have since moved on.
+ *
+ * The values in the markup are the no-JS fallback. Cards that only make sense
+ * with live data ship `hidden` and are revealed once there is something to
+ * put in them.
+ *
+ * Numbers count up from their previous value when the card is on screen. Under
+ * reduced motion they are simply written.
+ *
+ * TO REMOVE: drop the <script> tag and the `hidden` stat cards in index.html.
+ * #repo-count then keeps its markup value.
+ * ============================================================================
+ */
+
+const STAT_COUNT_DURATION_MS = 900;
+const STAT_TOP_LANGUAGES = 3;
+
+/* The count-up waiting on or running in each element, so a newer target can
+   cancel it: { observer } until the card is on screen, then { frame } */
+const statCountUps = new WeakMap();
+
+/**
+ * Derive the headline numbers from a repo list
+ * @param {Array} repos - Array of repository objects from the GitHub API
+ * @returns {Object} { repoCount, stars, forks, languages, lastPush }
+ */
+function computeRepoStats(repos) {
+    const languageCounts = {};
+    let stars = 0;
+    let forks = 0;
+    let lastPush = null;
+
+    repos.forEach(repo => {
+        stars += repo.stargazers_count || 0;
+        forks += repo.forks_count || 0;
+        if (repo.language) {
+            languageCounts[repo.language] = (languageCounts[repo.language] || 0) + 1;
+        }
+        const pushed = repo.pushed_at ? new Date(repo.pushed_at) : null;
+        if (pushed && (!lastPush || pushed > lastPush)) lastPush = pushed;
+    });
+
+    const languages = Object.keys(languageCounts)
+        .sort((a, b) => languageCounts[b] - languageCounts[a] || a.localeCompare(b))
+        .slice(0, STAT_TOP_LANGUAGES);
+
+    return { repoCount: repos.length, stars, forks, languages, lastPush };
+}
+
+/**
+ * Stop an element's pending or running count-up, if it has one
+ * @param {Element} el
+ */
+function cancelCountUp(el) {
+    const pending = statCountUps.get(el);
+    if (!pending) return;
+    if (pending.observer) pending.observer.disconnect();
+    if (pending.frame) cancelAnimationFrame(pending.frame);
+    statCountUps.delete(el);
+}
+
+/**
+ * Count an element's number up (or down) to a target value
+ * @param {Element} el - The .stat-number to write into
+ * @param {number} target - Final value
+ */
+function countUp(el, target) {
+    const pending = statCountUps.get(el);
+    const running = Boolean(pending && pending.frame);
+    cancelCountUp(el);
+
+    // Interrupted mid-count, carry on from the number on screen rather than jump
+    const from = (running ? parseInt(el.textContent, 10) : parseInt(el.dataset.value, 10)) || 0;
+    el.dataset.value = target;
+
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (reducedMotion || from === target) {
+        el.textContent = target;
+        return;
+    }
+
+    const start = performance.now();
+
+    function frame(now) {
+        const t = Math.min(1, (now - start) / STAT_COUNT_DURATION_MS);
+        // Ease-out cubic: fast start, settles onto the number
+        const eased = 1 - Math.pow(1 - t, 3);
+        el.textContent = Math.round(from + (target - from) * eased);
+        if (t < 1) statCountUps.set(el, { frame: requestAnimationFrame(frame) });
+        else statCountUps.delete(el);
+    }
+
+    statCountUps.set(el, { frame: requestAnimationFrame(frame) });
+}
+
+/**
+ * Run a count-up once the element is on screen, so it is not spent on a card
+ * nobody is looking at. Falls back to running it straight away.
+ * @param {Element} el - The .stat-number to write into
+ * @param {number} target - Final value
+ */
+function countUpWhenVisible(el, target) {
+    const pending = statCountUps.get(el);
+    // Already counting means already on screen; retarget it straight away
+    if (!('IntersectionObserver' in window) || (pending && pending.frame)) {
+        countUp(el, target);
+        return;
+    }
+
+    cancelCountUp(el);
+    const observer = new IntersectionObserver((entries) => {
+        if (!entries.some(entry => entry.isIntersecting)) return;
+        observer.disconnect();
+        countUp(el, target);
+    }, { threshold: 0.5 });
+    observer.observe(el);
+    statCountUps.set(el, { observer });
+}
+
+/**
+ * Write a value into a stat card and un-hide the card if it shipped hidden
+ * @param {string} name - The card's data-stat name
+ * @param {number|string} value - A number counts up; a string is written as-is
+ */
+function setStat(name, value) {
+    const el = document.querySelector(`[data-stat="${name}"]`);
+    if (!el) return;
+
+    const card = el.closest('.stat-card');
+    if (card) card.hidden = false;
+
+    if (typeof value === 'number') {
+        countUpWhenVisible(el, value);
+    } else {
+        el.textContent = value;
+    }
+}
+
+/**
+ * Fill the About section stat cards from a repo list.
+ * Called by github-api.js whenever it renders a new list.
+ * @param {Array} repos - Array of repository objects from the GitHub API
+ * @param {string} [source='api'] - Where the list came from; 'snapshot' is skipped
+ */
+function renderRepoStats(repos, source = 'api') {
+    if (!repos || repos.length === 0 || source === 'snapshot') return;
+
+    const stats = computeRepoStats(repos);
+
+    setStat('repos', stats.repoCount);
+    setStat('stars', stats.stars);
+    setStat('forks', stats.forks);
+    if (stats.languages.length) setStat('languages', stats.languages.join(' · '));
+    if (stats.lastPush) {
+        const el = document.querySelector('[data-stat="last-push"]');
+        if (el) el.setAttribute('datetime', stats.lastPush.toISOString());
+        setStat('last-push', stats.lastPush.toLocaleDateString([], {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        }));
+    }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { computeRepoStats, renderRepoStats };
+}
@@ -0,0 +1,587 @@
+/**
+ * ============================================================================
+ * HERO-SHELL.JS - A small shell in the hero's fastfetch window
+ * ============================================================================
+ *
+ * Turns the last prompt line of the hero term-window into a real input. The
+ * shell is make-believe but the content is not: the filesystem is read from
+ * the page each time a command runs, so it always matches what is on screen.
+ *
+ *   ~/about.txt        the About section
+ *   ~/skills.txt       each skill category and its tags
+ *   ~/experience.txt   the experience timeline
+ *   ~/contact.txt      the contact TUI rows
+ *   ~/projects/*.md    one per .project-card
+ *   ~/repos/*          one per fetched repository (empty until they load)
+ *
+ * Commands live in SHELL_COMMANDS; `help` is generated from it. Up/Down walk
+ * the history, Tab completes commands, paths and arguments, Ctrl+L clears.
+ *
+ * ACCESSIBILITY: output goes into a role="log" region, which screen readers
+ * announce as it is appended. Tab on an empty line is left alone, so the
+ * input is never a keyboard trap.
+ *
+ * Without JS the window is the static fastfetch card it always was.
+ *
+ * TO REMOVE: drop the <script> and <link> tags for this file and its
+ * stylesheet, and the data-shell attribute in index.html. It needs
+ * scripts/dom.js, animations.js and github-api.js, and theme-toggle.js for
+ * the `theme` command.
+ * ============================================================================
+ */
+
+const SHELL_HISTORY_MAX = 50;
+const SHELL_REPOS_MAX = 20; // `repos` lists this many, best-starred first
+
+/**
+ * Lower-case, dash-separated file name from a title
+ * ("Determa — Programming Language" -> "determa")
+ * @param {string} title
+ * @returns {string}
+ */
+function shellFileName(title) {
+    return title.split(/\s+[—–-]\s+/)[0]
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Every fetched repo, once each
+ * @returns {Array<Object>}
+ */
+function getShellRepos() {
+    const seen = new Map();
+    (typeof repoGrids !== 'undefined' ? repoGrids : []).forEach(grid => {
+        grid.getRepos().forEach(repo => {
+            if (!seen.has(repo.full_name)) seen.set(repo.full_name, repo);
+        });
+    });
+    return Array.from(seen.values());
+}
+
+/**
+ * The contact TUI rows as { key, value, href }
+ * @returns {Array<Object>}
+ */
+function getShellContacts() {
+    return Array.from(document.querySelectorAll('.tui-row')).map(row => ({
+        key: cleanText(row.querySelector('.tui-key')).toLowerCase(),
+        value: cleanText(row.querySelector('.tui-value')),
+        href: row.getAttribute('href')
+    }));
+}
+
+/**
+ * Build the virtual filesystem from the page as it is now. Directories are
+ * { type: 'dir', children: { name: node } }; files are
+ * { type: 'file', text, href? }.
+ * @returns {Object} The home directory
+ */
+function buildShellFs() {
+    const dir = (children) => ({ type: 'dir', children });
+    const file = (text, href) => ({ type: 'file', text, href });
+
+    const about = Array.from(document.querySelectorAll('.about-text > p')).map(cleanText);
+
+    const skills = Array.from(document.querySelectorAll('.skill-category')).map(category => {
+        const tags = Array.from(category.querySelectorAll('.skill-tag')).map(cleanText);
+        return `${cleanText(category.querySelector('.skill-category-title'))}: ${tags.join(', ')}`;
+    });
+
+    const experience = Array.from(document.querySelectorAll('.experience-card')).map(card => [
+        `${cleanText(card.querySelector('.experience-title'))} (${cleanText(card.querySelector('.experience-date'))})`,
+        cleanText(card.querySelector('.experience-description'))
+    ].join('\n'));
+
+    const contacts = getShellContacts().map(({ key, value }) => `${key.padEnd(10)}${value}`);
+
+    const projects = {};
+    document.querySelectorAll('.project-card').forEach(card => {
+        const title = cleanText(card.querySelector('.project-card-title'));
+        if (!title) return;
+        const tags = Array.from(card.querySelectorAll('.tech-tag')).map(cleanText);
+        projects[shellFileName(title) + '.md'] = file([
+            `# ${title}`,
+            cleanText(card.querySelector('.project-card-description')),
+            `tags: ${tags.join(', ')}`
+        ].join('\n\n'), card.querySelector('.project-link')?.getAttribute('href'));
+    });
+
+    const repos = {};
+    getShellRepos().forEach(repo => {
+        repos[repo.name] = file([
+            repo.description || '(no description)',
+            [repo.language, `★ ${repo.stargazers_count}`].filter(Boolean).join(' · ')
+        ].join('\n'), safeGitHubUrl(repo.html_url));
+    });
+
+    return dir({
+        'about.txt': file(about.join('\n\n')),
+        'contact.txt': file(contacts.join('\n')),
+        'experience.txt': file(experience.join('\n\n')),
+        'projects': dir(projects),
+        'repos': dir(repos),
+        'skills.txt': file(skills.join('\n'))
+    });
+}
+
+/**
+ * Resolve a path against the working directory. "~" is home and the root;
+ * ".." stops there.
+ * @param {Object} fs - From buildShellFs()
+ * @param {Array<string>} cwd - Path segments below home
+ * @param {string} path
+ * @returns {Object|null} { node, segments } or null if there is no such entry
+ */
+function resolveShellPath(fs, cwd, path) {
+    const segments = path === '~' || path.startsWith('~/') ? [] : [...cwd];
+    const parts = path.replace(/^~/, '').split('/').filter(Boolean);
+
+    let node = fs;
+    segments.forEach(name => { node = node.children[name]; });
+
+    for (const part of parts) {
+        if (part === '.') continue;
+        if (part === '..') {
+            segments.pop();
+            node = fs;
+            segments.forEach(name => { node = node.children[name]; });
+            continue;
+        }
+        if (node.type !== 'dir' || !Object.prototype.hasOwnProperty.call(node.children, part)) return null;
+        node = node.children[part];
+        segments.push(part);
+    }
+
+    return { node, segments };
+}
+
+/**
+ * "~" or "~/projects" for a list of segments
+ * @param {Array<string>} segments
+ * @returns {string}
+ */
+function formatShellPath(segments) {
+    return ['~', ...segments].join('/');
+}
+
+/**
+ * Where `open` can go: the contact rows by key, then every section by id
+ * @returns {Object} name -> { href } or { hash }
+ */
+function getShellOpenTargets() {
+    const targets = {};
+    getShellContacts().forEach(({ key, href }) => { targets[key] = { href }; });
+    if (!targets.github) targets.github = { href: `https://github.com/${GITHUB_USERNAME}` };
+    document.querySelectorAll('section[id]').forEach(section => {
+        if (!targets[section.id]) targets[section.id] = { hash: '#' + section.id };
+    });
+    return targets;
+}
+
+/**
+ * The commands. Each has a one-line summary for `help`, an optional usage
+ * string, run(args, shell), and optionally complete(args, shell) returning
+ * the candidates for the word being typed.
+ */
+const SHELL_COMMANDS = {
+    help: {
+        summary: 'list these commands',
+        run(args, shell) {
+            Object.keys(SHELL_COMMANDS).forEach(name => {
+                const { usage, summary } = SHELL_COMMANDS[name];
+                shell.print(createEl('span', { class: 'shell-name' }, (usage || name).padEnd(20)), summary);
+            });
+            shell.print('Up/Down: history · Tab: complete · Ctrl+L: clear');
+        }
+    },
+
+    ls: {
+        usage: 'ls [dir]',
+        summary: 'list a directory',
+        run(args, shell) {
+            const target = shell.resolve(args[0] || '.');
+            if (!target) return shell.error(`ls: cannot access '${args[0]}': No such file or directory`);
+            if (target.node.type === 'file') return shell.print(args[0]);
+
+            const names = Object.keys(target.node.children).sort();
+            if (names.length === 0) return;
+            shell.print(...names.flatMap((name, i) => [
+                i > 0 ? '  ' : null,
+                target.node.children[name].type === 'dir'
+                    ? createEl('span', { class: 'term-path' }, name + '/')
+                    : name
+            ]));
+        },
+        complete: (args, shell) => shell.completePath(args[args.length - 1], false)
+    },
+
+    cd: {
+        usage: 'cd [dir]',
+        summary: 'change directory',
+        run(args, shell) {
+            const target = shell.resolve(args[0] || '~');
+            if (!target) return shell.error(`cd: ${args[0]}: No such file or directory`);
+            if (target.node.type !== 'dir') return shell.error(`cd: ${args[0]}: Not a directory`);
+            shell.setCwd(target.segments);
+        },
+        complete: (args, shell) => shell.completePath(args[args.length - 1], true)
+    },
+
+    pwd: {
+        summary: 'print the working directory',
+        run(args, shell) {
+            shell.print(formatShellPath(shell.cwd));
+        }
+    },
+
+    cat: {
+        usage: 'cat <file>',
+        summary: 'print a file',
+        run(args, shell) {
+            if (args.length === 0) return shell.error('cat: missing file operand');
+            args.forEach(path => {
+                const target = shell.resolve(path);
+                if (!target) return shell.error(`cat: ${path}: No such file or directory`);
+                if (target.node.type === 'dir') return shell.error(`cat: ${path}: Is a directory`);
+                shell.print(target.node.text);
+                if (target.node.href) {
+                    shell.print(createEl('a', { href: target.node.href, target: '_blank', rel: 'noopener noreferrer' },
+                        target.node.href));
+                }
+            });
+        },
+        complete: (args, shell) => shell.completePath(args[args.length - 1], false)
+    },
+
+    fastfetch: {
+        summary: 'system information',
+        run(args, shell) {
+            shell.printFetch();
+        }
+    },
+
+    theme: {
+        usage: 'theme [name]',
+        summary: 'switch flavour, or dark / light / system',
+        run(args, shell) {
+            const name = (args[0] || '').toLowerCase();
+
+            if (!name) {
+                const current = getCurrentTheme();
+                Object.keys(THEMES).forEach(key => {
+                    shell.print(`${key === current ? '*' : ' '} ${key.padEnd(11)}${THEMES[key].label} (${THEMES[key].mode})`);
+                });
+                shell.print(`  mode: ${getThemeMode()} (${THEME_MODES.join(' / ')})`);
+                return;
+            }
+
+            if (THEMES[name]) setTheme(name, shell.input);
+            else if (THEME_MODES.includes(name)) setThemeMode(name, shell.input);
+            else shell.error(`theme: unknown theme '${args[0]}' (try: ${[...Object.keys(THEMES), ...THEME_MODES].join(', ')})`);
+        },
+        complete: () => [...Object.keys(THEMES), ...THEME_MODES]
+    },
+
+    open: {
+        usage: 'open <target>',
+        summary: 'open a link or jump to a section',
+        run(args, shell) {
+            const targets = getShellOpenTargets();
+            const target = targets[(args[0] || '').toLowerCase()];
+
+            if (!target) {
+                const list = Object.keys(targets).join(', ');
+                return shell.error(args[0] ? `open: ${args[0]}: unknown target (try: ${list})` : `usage: open <${list}>`);
+            }
+
+            if (target.hash) navigateToHash(target.hash, { push: true });
+            else if (target.href.startsWith('mailto:')) window.location.href = target.href;
+            else window.open(target.href, '_blank', 'noopener');
+            shell.print(`opening ${target.hash || target.href}`);
+        },
+        complete: () => Object.keys(getShellOpenTargets())
+    },
+
+    repos: {
+        usage: 'repos [--lang <l>]',
+        summary: 'list GitHub repositories',
+        run(args, shell) {
+            let lang = null;
+            for (let i = 0; i < args.length; i++) {
+                if (args[i] === '--lang') lang = args[++i];
+                else if (args[i].startsWith('--lang=')) lang = args[i].slice('--lang='.length);
+                else return shell.error(`repos: unknown option '${args[i]}' (usage: repos [--lang <language>])`);
+                if (!lang) return shell.error('repos: --lang needs a language');
+            }
+
+            let repos = getShellRepos();
+            if (repos.length === 0) return shell.error('repos: no repository data yet; it may still be loading');
+
+            if (lang) {
+                repos = repos.filter(repo => (repo.language || '').toLowerCase() === lang.toLowerCase());
+                if (repos.length === 0) return shell.error(`repos: no ${lang} repositories`);
+            }
+
+            repos.sort((a, b) => b.stargazers_count - a.stargazers_count);
+            const width = Math.min(28, Math.max(...repos.map(repo => repo.name.length)) + 2);
+
+            repos.slice(0, SHELL_REPOS_MAX).forEach(repo => {
+                const url = safeGitHubUrl(repo.html_url);
+                shell.print(
+                    url ? createEl('a', { href: url, target: '_blank', rel: 'noopener noreferrer' }, repo.name) : repo.name,
+                    ' '.repeat(Math.max(1, width - repo.name.length)),
+                    `${(repo.language || '-').padEnd(12)}★ ${repo.stargazers_count}`
+                );
+            });
+
+            if (repos.length > SHELL_REPOS_MAX) {
+                shell.print(`… and ${repos.length - SHELL_REPOS_MAX} more: open github-repos`);
+            }
+        },
+        complete(args) {
+            if (args[args.length - 2] === '--lang') {
+                return Array.from(new Set(getShellRepos().map(repo => repo.language).filter(Boolean)))
+                    .map(language => language.toLowerCase());
+            }
+            return ['--lang'];
+        }
+    },
+
+    contact: {
+        summary: 'how to reach me',
+        run(args, shell) {
+            getShellContacts().forEach(({ key, value, href }) => {
+                const external = !href.startsWith('mailto:');
+                shell.print(key.padEnd(10), createEl('a', {
+                    href,
+                    target: external ? '_blank' : null,
+                    rel: external ? 'noopener noreferrer' : null
+                }, value));
+            });
+        }
+    },
+
+    clear: {
+        summary: 'clear the screen (Ctrl+L)',
+        run(args, shell) {
+            shell.clear();
+        }
+    }
+};
+
+/**
+ * The longest prefix shared by every string
+ * @param {Array<string>} words
+ * @returns {string}
+ */
+function commonPrefix(words) {
+    return words.reduce((prefix, word) => {
+        let i = 0;
+        while (i < prefix.length && prefix[i] === word[i]) i++;
+        return prefix.slice(0, i);
+    });
+}
+
+/**
+ * Wire the shell into a term-window
+ * @param {Element} terminal - The hero .term-window[data-shell]
+ */
+function initShell(terminal) {
+    const body = terminal.querySelector('.term-body');
+    const line = body.lastElementChild;
+    const cursor = line.querySelector('.typing-cursor');
+    const pathEl = line.querySelector('.term-path');
+    if (!cursor || !pathEl) return;
+
+    // Everything above the live prompt is the opening screen; `clear` hides it
+    const intro = Array.from(body.children).filter(el => el !== line);
+
+    const log = createEl('div', { class: 'shell-output', role: 'log', 'aria-label': 'Terminal output' });
+    const input = createEl('input', {
+        type: 'text',
+        class: 'shell-input',
+        'aria-label': 'Terminal: type help for a list of commands',
+        autocomplete: 'off',
+        autocapitalize: 'off',
+        spellcheck: 'false',
+        enterkeyhint: 'send',
+        placeholder: ' ' // Only so CSS can tell an empty line with :placeholder-shown
+    });
+
+    body.insertBefore(log, line);
+    line.classList.add('shell-line');
+    cursor.after(input);
+    body.classList.add('shell-body');
+
+    const history = [];
+    let historyIndex = 0;
+    let draft = '';
+
+    const shell = {
+        input,
+        cwd: [],
+
+        print(...children) {
+            log.append(createEl('div', { class: 'shell-text' }, ...children));
+        },
+
+        error(message) {
+            log.append(createEl('div', { class: 'shell-text shell-error' }, message));
+        },
+
+        printFetch() {
+            intro.filter(el => !el.classList.contains('term-line')).forEach(el => {
+                const copy = el.cloneNode(true);
+                copy.hidden = false;
+                copy.querySelectorAll('[id]').forEach(node => node.removeAttribute('id'));
+                log.append(copy);
+            });
+        },
+
+        clear() {
+            intro.forEach(el => { el.hidden = true; });
+            log.replaceChildren();
+        },
+
+        resolve(path) {
+            return resolveShellPath(buildShellFs(), shell.cwd, path);
+        },
+
+        setCwd(segments) {
+            shell.cwd = segments;
+            pathEl.textContent = formatShellPath(segments);
+        },
+
+        /**
+         * Entries that could complete a partly typed path
+         * @param {string} word - e.g. "proj" or "projects/de"
+         * @param {boolean} dirsOnly
+         * @returns {Array<string>} Whole words: "projects/", "projects/determa.md"
+         */
+        completePath(word = '', dirsOnly) {
+            const slash = word.lastIndexOf('/');
+            const head = word.slice(0, slash + 1);
+            const parent = shell.resolve(head || '.');
+            if (!parent || parent.node.type !== 'dir') return [];
+
+            return Object.entries(parent.node.children)
+                .filter(([, node]) => !dirsOnly || node.type === 'dir')
+                .map(([name, node]) => head + name + (node.type === 'dir' ? '/' : ''));
+        }
+    };
+
+    function echo(command) {
+        log.append(createEl('p', { class: 'term-line' },
+            createEl('span', { class: 'term-prompt', 'aria-hidden': 'true' }, 'andy@debian'),
+            createEl('span', { class: 'term-punct', 'aria-hidden': 'true' }, ':'),
+            createEl('span', { class: 'term-path', 'aria-hidden': 'true' }, formatShellPath(shell.cwd)),
+            ' ',
+            createEl('span', { class: 'term-caret', 'aria-hidden': 'true' }, '❯'),
+            ' ',
+            createEl('span', { class: 'term-cmd' }, command)
+        ));
+    }
+
+    function run(commandLine) {
+        const trimmed = commandLine.trim();
+        echo(trimmed);
+
+        if (trimmed) {
+            if (history[history.length - 1] !== trimmed) history.push(trimmed);
+            if (history.length > SHELL_HISTORY_MAX) history.shift();
+
+            const [name, ...args] = trimmed.split(/\s+/);
+            const command = Object.prototype.hasOwnProperty.call(SHELL_COMMANDS, name) ? SHELL_COMMANDS[name] : null;
+            if (command) command.run(args, shell);
+            else shell.error(`bash: ${name}: command not found (try help)`);
+        }
+
+        historyIndex = history.length;
+        draft = '';
+        body.scrollTop = body.scrollHeight;
+    }
+
+    /**
+     * Complete the word before the caret
+     */
+    function complete() {
+        const before = input.value.slice(0, input.selectionStart);
+        const after = input.value.slice(input.selectionStart);
+        const words = before.split(/\s+/);
+        const word = words[words.length - 1];
+
+        let candidates;
+        if (words.length === 1) {
+            candidates = Object.keys(SHELL_COMMANDS);
+        } else {
+            const command = SHELL_COMMANDS[words[0]];
+            candidates = command && command.complete ? command.complete(words.slice(1), shell) : [];
+        }
+        candidates = candidates.filter(candidate => candidate.startsWith(word));
+        if (candidates.length === 0) return;
+
+        let completion = commonPrefix(candidates);
+        if (candidates.length === 1 && !completion.endsWith('/')) completion += ' ';
+
+        if (completion === word) {
+            // Nothing more in common: show the choices, as a second Tab in bash would
+            echo(input.value);
+            shell.print(candidates.join('  '));
+            body.scrollTop = body.scrollHeight;
+            return;
+        }
+
+        const value = before.slice(0, before.length - word.length) + completion;
+        input.value = value + after;
+        input.setSelectionRange(value.length, value.length);
+    }
+
+    function recall(step) {
+        if (history.length === 0) return;
+        if (historyIndex === history.length) draft = input.value;
+
+        historyIndex = Math.min(history.length, Math.max(0, historyIndex + step));
+        input.value = historyIndex === history.length ? draft : history[historyIndex];
+        input.setSelectionRange(input.value.length, input.value.length);
+    }
+
+    input.addEventListener('keydown', (e) => {
+        if (e.isComposing) return;
+
+        if (e.key === 'Enter') {
+            run(input.value);
+            input.value = '';
+        } else if (e.key === 'ArrowUp') {
+            recall(-1);
+        } else if (e.key === 'ArrowDown') {
+            recall(1);
+        } else if (e.key === 'Tab' && !e.shiftKey && input.value.trim()) {
+            complete();
+        } else if (e.key.toLowerCase() === 'l' && e.ctrlKey && !e.altKey && !e.metaKey) {
+            shell.clear();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    });
+
+    // A click anywhere on the screen focuses the prompt, as in a real terminal,
+    // unless it was on a link or the end of a text selection
+    body.addEventListener('click', (e) => {
+        if (e.target.closest('a, button, input')) return;
+        if (String(window.getSelection())) return;
+        input.focus({ preventScroll: true });
+    });
+}
+
+/**
+ * Initialize the hero shell
+ */
+function initHeroShell() {
+    const terminal = document.querySelector('.term-window[data-shell]');
+    if (terminal) initShell(terminal);
+}
+
+document.addEventListener('DOMContentLoaded', initHeroShell);
@@ -8,6 +8,7 @@
  * - Scroll animations
  * - GitHub API integration
  * - Navigation interactions
+ * - Service worker registration (offline support)
  * 
  * ============================================================================
  */
@@ -36,6 +37,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Fill in the live values in the fastfetch hero card
     initFetchCard();
+
+    // Offline support; see sw.js
+    initServiceWorker();
 });
 
 /**
@@ -82,6 +86,81 @@ function initFetchCard() {
     uptimeEl.textContent = parts.join(', ');
 }
 
+/**
+ * Whether to run the service worker in sw.js. Setting this to false and
+ * deploying unregisters it for returning visitors and deletes its caches,
+ * which is the clean way to remove it.
+ */
+const SERVICE_WORKER_ENABLED = true;
+
+/**
+ * Register the service worker (or remove it, see SERVICE_WORKER_ENABLED) and
+ * drive the status bar's "offline" module from what it reports
+ */
+function initServiceWorker() {
+    const indicator = document.getElementById('bar-offline');
+    let servedFromCache = false;
+
+    // Shown while the browser is offline, or while the worker is answering
+    // GitHub calls from its cache because the network failed
+    function updateIndicator() {
+        if (indicator) indicator.hidden = navigator.onLine && !servedFromCache;
+    }
+
+    window.addEventListener('online', updateIndicator);
+    window.addEventListener('offline', updateIndicator);
+    updateIndicator();
+
+    // file:// and other origins without service worker support
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    if (!SERVICE_WORKER_ENABLED) {
+        unregisterServiceWorker().catch(error => {
+            console.warn('[SW] Unregistering failed:', error);
+        });
+        return;
+    }
+
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (!e.data || e.data.type !== 'github-api') return;
+        servedFromCache = e.data.fromCache;
+        updateIndicator();
+    });
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('[SW] Registration failed:', error);
+    });
+}
+
+/**
+ * Check for a new sw.js now rather than on the browser's own schedule.
+ * Can be called manually for debugging
+ * @returns {Promise<void>}
+ */
+async function updateServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (registration) await registration.update();
+}
+
+/**
+ * Unregister the service worker and delete every cache it made.
+ * Can be called manually for debugging
+ * @returns {Promise<void>}
+ */
+async function unregisterServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    const registrations = await navigator.serviceWorker.getRegistrations();
+    await Promise.all(registrations.map(registration => registration.unregister()));
+
+    // Cache names are prefixed in sw.js (CACHE_PREFIX)
+    if ('caches' in window) {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key.startsWith('portfolio-')).map(key => caches.delete(key)));
+    }
+}
+
 /**
  * Utility: Debounce function for performance
  * @param {Function} func - Function to debounce
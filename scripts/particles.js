@@ -240,10 +240,11 @@
         createParticles();
         readThemeColors();
 
-        // Re-read the cached colours whenever the theme attribute flips
+        // Re-read the cached colours whenever the theme or flavour changes,
+        // or a custom accent is set inline (theme-customiser.js)
         new MutationObserver(readThemeColors).observe(document.documentElement, {
             attributes: true,
-            attributeFilter: ['data-theme']
+            attributeFilter: ['data-theme', 'data-flavour', 'style']
         });
 
         // Event listeners
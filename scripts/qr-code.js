@@ -0,0 +1,438 @@
+/**
+ * ============================================================================
+ * QR-CODE.JS - A small, self-contained QR code encoder
+ * ============================================================================
+ *
+ * Encodes text as a QR code (ISO/IEC 18004) and draws it as an SVG, so the
+ * contact TUI can hand a link or a vCard to a phone without a CDN.
+ *
+ * - Byte mode only (UTF-8): every string fits, at a little density cost
+ *   next to the numeric and alphanumeric modes, which nothing here needs.
+ * - Versions 1-40, at any of the four error-correction levels; the smallest
+ *   version that fits is used.
+ * - All eight masks are scored with the standard penalty rules and the
+ *   best one kept, as the spec asks.
+ *
+ * The SVG always draws black modules on a white quiet zone, whatever the
+ * theme: many scanners cannot read an inverted code, so dark mode must not
+ * recolour it.
+ *
+ * USAGE:
+ *   const qr = encodeQr('https://example.com');   // { size, modules }
+ *   container.append(renderQrSvg(qr, { label: 'QR code for example.com' }));
+ *
+ * TO REMOVE: drop the <script> tag; scripts/contact-tui.js then hides its QR
+ * key and button.
+ * ============================================================================
+ */
+
+/* Error-correction levels: index into the tables below, and the 2-bit value
+   written into the format information */
+const QR_ECC_LEVELS = {
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 }
+};
+
+/* Per level (L, M, Q, H) and version (1-40; index 0 unused): error-correction
+   codewords in each block, and how many blocks */
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const QR_ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+/* The eight mask patterns; x is the column, y the row */
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Multiply in GF(2^8) modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - 0-255
+ * @param {number} y - 0-255
+ * @returns {number}
+ */
+function qrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * The Reed-Solomon generator polynomial for a number of ECC codewords
+ * @param {number} degree
+ * @returns {Array<number>} Coefficients, highest power first, the leading 1 dropped
+ */
+function qrDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = qrMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = qrMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Reed-Solomon ECC codewords for a block of data
+ * @param {Array<number>} data
+ * @param {Array<number>} divisor - From qrDivisor()
+ * @returns {Array<number>}
+ */
+function qrRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= qrMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * Modules available for data and ECC in a version, after the function patterns
+ * @param {number} version
+ * @returns {number}
+ */
+function qrRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+/**
+ * Data codewords a version holds at a level
+ * @param {number} version
+ * @param {number} level - Index into the tables
+ * @returns {number}
+ */
+function qrDataCodewords(version, level) {
+    return Math.floor(qrRawDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[level][version] * QR_ECC_BLOCKS[level][version];
+}
+
+/**
+ * Centre coordinates of the alignment patterns, on both axes
+ * @param {number} version
+ * @returns {Array<number>}
+ */
+function qrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const size = version * 4 + 17;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+    return result;
+}
+
+/**
+ * Split the data into blocks, add each block's ECC, and interleave them
+ * @param {Array<number>} data - Data codewords, padded to capacity
+ * @param {number} version
+ * @param {number} level
+ * @returns {Array<number>} Every codeword, in placement order
+ */
+function qrAddEcc(data, version, level) {
+    const blockCount = QR_ECC_BLOCKS[level][version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[level][version];
+    const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = qrDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i++) {
+        const block = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = qrRemainder(block, divisor);
+        // Short blocks get a placeholder so every block has the same length
+        if (i < shortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the short blocks' placeholders
+            if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+/**
+ * Penalty score of a finished symbol; the mask with the lowest wins
+ * @param {Array<Array<boolean>>} modules
+ * @returns {number}
+ */
+function qrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+
+    // Runs of five or more in a row or column, and 1:1:3:1:1 finder look-alikes
+    const finderLike = [true, false, true, true, true, false, true];
+    const scanLine = (get) => {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && get(i) === get(i - 1)) {
+                run++;
+            } else {
+                if (run >= 5) penalty += 3 + (run - 5);
+                run = 1;
+            }
+        }
+        for (let i = 0; i + 7 <= size; i++) {
+            if (!finderLike.every((value, j) => get(i + j) === value)) continue;
+            const lightBefore = [1, 2, 3, 4].every(j => i - j < 0 || !get(i - j));
+            const lightAfter = [0, 1, 2, 3].every(j => i + 7 + j >= size || !get(i + 7 + j));
+            if (lightBefore || lightAfter) penalty += 40;
+        }
+    };
+
+    for (let i = 0; i < size; i++) {
+        scanLine(x => modules[i][x]);
+        scanLine(y => modules[y][i]);
+    }
+
+    // 2x2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const colour = modules[y][x];
+            if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+
+    // Distance of the dark share from 50%, in steps of 5%
+    modules.forEach(row => row.forEach(module => { if (module) dark++; }));
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return penalty;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.ecc='M'] - Error correction: 'L', 'M', 'Q' or 'H'
+ * @returns {Object} { version, size, modules } where modules[y][x] is true for dark
+ * @throws {RangeError} If the text is too long for any version
+ */
+function encodeQr(text, { ecc = 'M' } = {}) {
+    const level = QR_ECC_LEVELS[ecc];
+    if (!level) throw new RangeError(`Unknown error correction level: ${ecc}`);
+
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    // The smallest version whose capacity takes the mode, the count and the bytes
+    let version = 1;
+    for (; version <= 40; version++) {
+        const countBits = version < 10 ? 8 : 16;
+        if (bytes.length < 2 ** countBits && 4 + countBits + bytes.length * 8 <= qrDataCodewords(version, level.index) * 8) break;
+    }
+    if (version > 40) throw new RangeError(`Text too long for a QR code (${bytes.length} bytes)`);
+
+    // Bit stream: byte mode, count, data, terminator, then pad codewords
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    const capacity = qrDataCodewords(version, level.index) * 8;
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    const codewords = qrAddEcc(data, version, level.index);
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators, in three corners
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, except where they would overlap a finder
+    const alignments = qrAlignmentPositions(version);
+    const last = alignments.length - 1;
+    alignments.forEach((cy, i) => alignments.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    // Format information: level and mask, BCH-protected, in two copies
+    const drawFormat = (mask) => {
+        const value = (level.formatBits << 3) | mask;
+        let remainder = value;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const format = ((value << 10) | remainder) ^ 0x5412;
+        const bit = i => ((format >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+        setFunction(8, size - 8, true); // The module that is always dark
+    };
+    drawFormat(0); // Reserve the area; the real mask is drawn below
+
+    // Version information, from version 7
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const info = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((info >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // Codewords, in the zigzag of two-module columns from the bottom right
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Step over the vertical timing pattern
+        const upward = ((right + 1) & 2) === 0;
+        for (let vert = 0; vert < size; vert++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const y = upward ? size - 1 - vert : vert;
+                if (isFunction[y][x] || bitIndex >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                bitIndex++;
+            }
+        }
+    }
+
+    const applyMask = (mask) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    };
+
+    // Try every mask; applying one twice undoes it
+    let best = 0;
+    let bestPenalty = Infinity;
+    QR_MASKS.forEach((pattern, mask) => {
+        applyMask(mask);
+        drawFormat(mask);
+        const penalty = qrPenalty(modules);
+        if (penalty < bestPenalty) {
+            best = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(mask);
+    });
+    applyMask(best);
+    drawFormat(best);
+
+    return { version, size, modules };
+}
+
+/**
+ * Draw a QR code as an SVG: one path of dark modules over a white quiet zone
+ * @param {Object} qr - From encodeQr()
+ * @param {Object} [options]
+ * @param {number} [options.border=4] - Quiet zone, in modules; 4 is the spec minimum
+ * @param {string} [options.label] - Accessible name
+ * @returns {SVGElement}
+ */
+function renderQrSvg(qr, { border = 4, label = 'QR code' } = {}) {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const extent = qr.size + border * 2;
+
+    let path = '';
+    qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+    }));
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${extent} ${extent}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', label);
+    svg.setAttribute('shape-rendering', 'crispEdges');
+
+    // Fixed colours on purpose: see the note at the top of this file
+    const background = document.createElementNS(SVG_NS, 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', '#ffffff');
+
+    const modules = document.createElementNS(SVG_NS, 'path');
+    modules.setAttribute('d', path);
+    modules.setAttribute('fill', '#000000');
+
+    svg.append(background, modules);
+    return svg;
+}
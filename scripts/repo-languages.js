@@ -0,0 +1,201 @@
+/**
+ * ============================================================================
+ * REPO-LANGUAGES.JS - Language breakdown bars on the repo cards
+ * ============================================================================
+ *
+ * Each repo card carries an empty `.repo-langbar` pointing at the repo's
+ * `languages_url`. This fills it with a thin stacked bar of every language in
+ * the repo, coloured with the same type palette as the language badge
+ * (LANGUAGE_TYPES in github-api.js, --type-* in styles/themes.css).
+ *
+ * RATE LIMIT: every bar is one API call, so
+ * - a bar is only fetched once its card scrolls into view;
+ * - results have their own localStorage cache, revalidated with ETags once
+ *   they are older than LANGUAGES_CACHE_DURATION_MS;
+ * - the calls are non-essential to githubFetch(), so once the shared budget
+ *   runs low (or out) no further bars are requested until it resets.
+ *
+ * TO REMOVE: drop the <script> tag. The bars stay as empty, invisible tracks;
+ * delete the `.repo-langbar` line in renderRepoCard() to remove those too.
+ * It needs scripts/dom.js, github-client.js and github-api.js.
+ * ============================================================================
+ */
+
+const LANGUAGES_CACHE_KEY = 'github_languages_cache';
+const LANGUAGES_CACHE_DURATION_MS = 24 * 60 * 60 * 1000; // Language mixes change slowly
+
+/* In-flight requests by URL, so two cards for one repo (a re-render mid-fetch)
+   share a single call */
+const languageRequests = new Map();
+
+let languageObserver = null;
+
+/* Bars the observer is watching, so the ones a re-render threw away can be
+   let go of instead of being kept alive by the observer */
+const watchedBars = new Set();
+
+/**
+ * Read the whole language cache
+ * @returns {Object} Map of languages_url -> { languages, etag, timestamp }
+ */
+function readLanguageCache() {
+    try {
+        return JSON.parse(localStorage.getItem(LANGUAGES_CACHE_KEY)) || {};
+    } catch (error) {
+        console.warn('[Languages] Error reading cache:', error);
+        return {};
+    }
+}
+
+/**
+ * Store one repo's languages in the cache
+ * @param {string} url - The repo's languages_url
+ * @param {Object} entry - { languages, etag, timestamp }
+ */
+function writeLanguageCache(url, entry) {
+    try {
+        const cache = readLanguageCache();
+        cache[url] = entry;
+        localStorage.setItem(LANGUAGES_CACHE_KEY, JSON.stringify(cache));
+    } catch (error) {
+        console.warn('[Languages] Error writing cache:', error);
+    }
+}
+
+/**
+ * Get a repo's languages, from the cache while it is fresh and otherwise
+ * with a conditional request
+ * @param {string} url - The repo's languages_url
+ * @returns {Promise<Object|null>} Map of language -> bytes, or null if unavailable
+ */
+function fetchLanguages(url) {
+    const cached = readLanguageCache()[url];
+    if (cached && Date.now() - cached.timestamp < LANGUAGES_CACHE_DURATION_MS) {
+        return Promise.resolve(cached.languages);
+    }
+
+    if (languageRequests.has(url)) return languageRequests.get(url);
+
+    const headers = {};
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+
+    const request = githubFetch(url, { headers, essential: false })
+        .then(async response => {
+            if (response.status === 304 && cached) {
+                writeLanguageCache(url, { ...cached, timestamp: Date.now() });
+                return cached.languages;
+            }
+
+            const languages = await response.json();
+            writeLanguageCache(url, {
+                languages,
+                etag: response.headers.get('ETag'),
+                timestamp: Date.now()
+            });
+            return languages;
+        })
+        .catch(error => {
+            console.warn('[Languages] Error fetching languages:', error);
+            return cached ? cached.languages : null;
+        })
+        .finally(() => languageRequests.delete(url));
+
+    languageRequests.set(url, request);
+    return request;
+}
+
+/**
+ * Draw the stacked bar for one card
+ * @param {Element} bar - The card's .repo-langbar
+ * @param {Object} languages - Map of language -> bytes
+ */
+function renderLanguageBar(bar, languages) {
+    const entries = Object.entries(languages || {});
+    const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+    if (total === 0) return;
+
+    const parts = entries
+        .sort((a, b) => b[1] - a[1])
+        .map(([language, bytes]) => ({
+            language,
+            percent: (bytes / total) * 100,
+            type: LANGUAGE_TYPES[language] || LANGUAGE_TYPES.default
+        }));
+
+    bar.replaceChildren(...parts.map(part => createEl('span', {
+        class: 'repo-langbar-segment',
+        style: `width: ${part.percent.toFixed(2)}%; background-color: var(--type-${part.type});`
+    })));
+
+    const summary = parts
+        .map(part => `${part.language} ${part.percent < 0.1 ? '<0.1' : part.percent.toFixed(1)}%`)
+        .join(', ');
+    bar.title = summary;
+    bar.setAttribute('role', 'img');
+    bar.setAttribute('aria-label', 'Languages: ' + summary);
+    bar.removeAttribute('aria-hidden');
+    bar.classList.add('is-loaded');
+}
+
+/**
+ * Fetch and draw one card's bar
+ * @param {Element} bar - The card's .repo-langbar
+ */
+function loadLanguageBar(bar) {
+    const url = bar.dataset.languagesUrl;
+    if (!url) return;
+
+    fetchLanguages(url).then(languages => {
+        // The card may have been replaced by a re-render while we waited
+        if (languages && bar.isConnected) renderLanguageBar(bar, languages);
+    });
+}
+
+/**
+ * Start watching the language bars inside a freshly rendered set of cards,
+ * and stop watching any that were rendered away since the last call.
+ * Called by github-api.js after every render.
+ * @param {Element} root - Container holding .repo-card elements
+ */
+function observeLanguageBars(root) {
+    if (!root) return;
+    const bars = root.querySelectorAll('.repo-langbar:not(.is-loaded)');
+
+    if (!('IntersectionObserver' in window)) {
+        bars.forEach(loadLanguageBar);
+        return;
+    }
+
+    if (!languageObserver) {
+        languageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                languageObserver.unobserve(entry.target);
+                watchedBars.delete(entry.target);
+                loadLanguageBar(entry.target);
+            });
+        }, {
+            root: null,
+            // A little ahead of the viewport, so the bar is usually drawn by
+            // the time the card has revealed
+            rootMargin: '0px 0px 120px 0px'
+        });
+    }
+
+    // Cards from the previous render are gone by now
+    watchedBars.forEach(bar => {
+        if (bar.isConnected) return;
+        languageObserver.unobserve(bar);
+        watchedBars.delete(bar);
+    });
+
+    bars.forEach(bar => {
+        languageObserver.observe(bar);
+        watchedBars.add(bar);
+    });
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { observeLanguageBars };
+}
@@ -0,0 +1,598 @@
+/**
+ * ============================================================================
+ * REPO-README.JS - In-page README viewer for the repo cards
+ * ============================================================================
+ *
+ * Clicking a repo card (or Enter on it) opens a side drawer, drawn as another
+ * term-window, with the repo's README, topics, homepage, licence and an
+ * "Open on GitHub" action. Esc, the close button or the backdrop close it,
+ * and focus goes back to the card it came from.
+ *
+ * Modified clicks (Ctrl/Cmd/Shift, middle button) are left alone, so "open in
+ * new tab" still does exactly that. Without this file the cards are plain
+ * links to GitHub, as before.
+ *
+ * THE MARKDOWN RENDERER
+ * A deliberately small subset: headings, paragraphs, lists (nested), fenced
+ * code, blockquotes, rules, pipe tables, and inline code / emphasis / links /
+ * images. It builds DOM nodes with createEl() from dom.js rather than
+ * an HTML string, so nothing in a README is ever parsed as markup. Raw HTML
+ * tags are dropped, except <img>, which READMEs lean on for logos and badges.
+ * Links are limited to http(s) and mailto; images to https. Relative paths are
+ * rewritten against the repo: images to raw.githubusercontent.com, links to
+ * the file on github.com.
+ *
+ * RATE LIMIT: one call per README, made only when a drawer is opened, and
+ * kept for the rest of the visit. Over the limit, the drawer counts down to
+ * the reset and fetches again.
+ *
+ * TO REMOVE: drop the <script> tag, styles/repo-readme.css, and the
+ * .readme-drawer block in index.html. It needs scripts/dom.js,
+ * github-client.js and github-api.js.
+ * ============================================================================
+ */
+
+/* READMEs already fetched this visit, by full_name */
+const readmeCache = new Map();
+
+/* ==========================================================================
+   Markdown rendering
+   ========================================================================== */
+
+const MD_LIST_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const MD_FENCE_RE = /^\s*(`{3,}|~{3,})\s*([\w+-]*)/;
+const MD_HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_RULE_RE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const MD_TABLE_DIVIDER_RE = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+/* One alternative per inline construct, tried left to right. The first
+   alternative is a linked image, the badge pattern `[![alt](img)](href)`,
+   which the plain link rule cannot match because of the nested brackets. */
+const MD_INLINE_RE = new RegExp([
+    /\[!\[([^\]]*)\]\(([^)\s]+)[^)]*\)\]\(([^)\s]+)[^)]*\)/.source,
+    /`([^`]+)`/.source,
+    /!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/.source,
+    /\[([^\]]+)\]\(([^)\s]+)[^)]*\)/.source,
+    /<(https?:\/\/[^>\s]+)>/.source,
+    /\*\*([^*]+)\*\*|__([^_]+)__/.source,
+    /~~([^~]+)~~/.source,
+    /\*([^*\s][^*]*)\*|\b_([^_]+)_\b/.source,
+    /<img\b([^>]*)>/.source,
+    /<\/?[a-zA-Z][^>]*>/.source
+].join('|'), 'g');
+
+/**
+ * Resolve a README-relative path against the repo
+ * @param {string} url - As written in the README
+ * @param {Object} ctx - { repo, branch, dir }
+ * @param {boolean} isImage - Images resolve to raw file URLs, links to the GitHub page
+ * @returns {string|null} An absolute, allowed URL, or null to drop it
+ */
+function resolveReadmeUrl(url, ctx, isImage) {
+    if (!url || url.startsWith('#')) return null;
+
+    let resolved;
+    try {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) {
+            resolved = new URL(url, 'https://github.com/');
+        } else {
+            // Relative to the README's own directory, or to the repo root
+            const path = new URL(url, 'https://x/' + ctx.dir).pathname.slice(1);
+            resolved = isImage
+                ? new URL(`https://raw.githubusercontent.com/${ctx.repo.full_name}/${ctx.branch}/${path}`)
+                : new URL(`https://github.com/${ctx.repo.full_name}/blob/${ctx.branch}/${path}`);
+        }
+    } catch (error) {
+        return null;
+    }
+
+    const allowed = isImage ? ['https:'] : ['https:', 'http:', 'mailto:'];
+    return allowed.includes(resolved.protocol) ? resolved.href : null;
+}
+
+/**
+ * Pull one attribute out of a raw HTML tag's attribute string
+ * @param {string} attrs - e.g. ` src="logo.png" width="120"`
+ * @param {string} name - Attribute name
+ * @returns {string}
+ */
+function readHtmlAttr(attrs, name) {
+    const match = new RegExp('\\b' + name + '\\s*=\\s*("([^"]*)"|\'([^\']*)\'|([^\\s>]+))', 'i').exec(attrs);
+    return match ? (match[2] || match[3] || match[4] || '') : '';
+}
+
+/**
+ * Build an <img> for the README, or nothing if its URL is not allowed
+ * @param {string} src - As written
+ * @param {string} alt - Alt text
+ * @param {Object} ctx - { repo, branch, dir }
+ * @returns {Element|null}
+ */
+function readmeImage(src, alt, ctx) {
+    const url = resolveReadmeUrl(src, ctx, true);
+    return url ? createEl('img', { src: url, alt, loading: 'lazy', decoding: 'async' }) : null;
+}
+
+/**
+ * Build a link, or just its contents if the URL is not allowed (including
+ * in-page anchors, which have nothing to point at inside the drawer)
+ * @param {string} href - As written
+ * @param {Array<Node>} children - Link contents
+ * @param {Object} ctx - { repo, branch, dir }
+ * @returns {Array<Node>}
+ */
+function readmeLink(href, children, ctx) {
+    const url = resolveReadmeUrl(href, ctx, false);
+    if (!url) return children;
+    return [createEl('a', { href: url, target: '_blank', rel: 'noopener noreferrer' }, ...children)];
+}
+
+/**
+ * Render inline Markdown to a list of nodes
+ * @param {string} text - One block's worth of inline text
+ * @param {Object} ctx - { repo, branch, dir }
+ * @returns {Array<Node>}
+ */
+function renderInline(text, ctx) {
+    const nodes = [];
+    let last = 0;
+    let match;
+
+    // Emphasis and links recurse, so each call needs its own lastIndex
+    const re = new RegExp(MD_INLINE_RE.source, 'g');
+
+    while ((match = re.exec(text)) !== null) {
+        if (match.index > last) nodes.push(document.createTextNode(text.slice(last, match.index)));
+        last = re.lastIndex;
+
+        const [
+            , badgeAlt, badgeSrc, badgeHref,
+            code,
+            imgAlt, imgSrc,
+            linkText, linkHref,
+            autolink,
+            strongA, strongB,
+            strike,
+            emA, emB,
+            htmlImg
+        ] = match;
+
+        if (badgeSrc !== undefined) {
+            const img = readmeImage(badgeSrc, badgeAlt, ctx);
+            nodes.push(...readmeLink(badgeHref, img ? [img] : [document.createTextNode(badgeAlt)], ctx));
+        } else if (code !== undefined) {
+            nodes.push(createEl('code', {}, code));
+        } else if (imgSrc !== undefined) {
+            const img = readmeImage(imgSrc, imgAlt, ctx);
+            if (img) nodes.push(img);
+        } else if (linkHref !== undefined) {
+            nodes.push(...readmeLink(linkHref, renderInline(linkText, ctx), ctx));
+        } else if (autolink !== undefined) {
+            nodes.push(...readmeLink(autolink, [document.createTextNode(autolink)], ctx));
+        } else if (strongA !== undefined || strongB !== undefined) {
+            nodes.push(createEl('strong', {}, ...renderInline(strongA || strongB, ctx)));
+        } else if (strike !== undefined) {
+            nodes.push(createEl('del', {}, ...renderInline(strike, ctx)));
+        } else if (emA !== undefined || emB !== undefined) {
+            nodes.push(createEl('em', {}, ...renderInline(emA || emB, ctx)));
+        } else if (htmlImg !== undefined) {
+            const img = readmeImage(readHtmlAttr(htmlImg, 'src'), readHtmlAttr(htmlImg, 'alt'), ctx);
+            if (img) nodes.push(img);
+        }
+        // Any other raw HTML tag matched the last alternative and is dropped
+    }
+
+    if (last < text.length) nodes.push(document.createTextNode(text.slice(last)));
+    return nodes;
+}
+
+/**
+ * Count leading spaces, with a tab as four
+ * @param {string} line
+ * @returns {number}
+ */
+function indentOf(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * Parse a (possibly nested) list starting at lines[start]
+ * @param {Array<string>} lines - All lines of the document
+ * @param {number} start - Index of the first item
+ * @param {Object} ctx - { repo, branch, dir }
+ * @returns {Array} [list element, index of the first line after it]
+ */
+function parseList(lines, start, ctx) {
+    const indent = indentOf(lines[start]);
+    const ordered = /^\d/.test(MD_LIST_RE.exec(lines[start])[2]);
+    const list = createEl(ordered ? 'ol' : 'ul');
+    let item = null;
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            // A blank line only continues the list if another item follows
+            const next = lines[i + 1];
+            if (next && MD_LIST_RE.test(next) && indentOf(next) >= indent) {
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        const match = MD_LIST_RE.exec(line);
+        const lineIndent = indentOf(line);
+
+        if (match && lineIndent < indent) break;
+
+        // Switching between bullets and numbers at this depth starts a new list
+        if (match && lineIndent < indent + 2 && /^\d/.test(match[2]) !== ordered) break;
+
+        if (match && item && lineIndent >= indent + 2) {
+            const [sublist, next] = parseList(lines, i, ctx);
+            item.append(sublist);
+            i = next;
+            continue;
+        }
+
+        if (match && !MD_RULE_RE.test(line)) {
+            // GitHub task lists: keep the state, drop the interactivity
+            const task = /^\[([ xX])\]\s+(.*)$/.exec(match[3]);
+            item = createEl('li', {},
+                task && createEl('input', { type: 'checkbox', disabled: true, checked: task[1] !== ' ' }),
+                task && ' ',
+                ...renderInline(task ? task[2] : match[3], ctx)
+            );
+            list.append(item);
+            i++;
+            continue;
+        }
+
+        // Lazy continuation of the previous item's text
+        if (item && !match && lineIndent > indent) {
+            item.append(' ', ...renderInline(line.trim(), ctx));
+            i++;
+            continue;
+        }
+
+        break;
+    }
+
+    return [list, i];
+}
+
+/**
+ * Split a pipe-table row into cells
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function tableCells(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Does this line start a block that interrupts a paragraph?
+ * @param {Array<string>} lines
+ * @param {number} i
+ * @returns {boolean}
+ */
+function startsBlock(lines, i) {
+    const line = lines[i];
+    return MD_FENCE_RE.test(line) || MD_HEADING_RE.test(line) || MD_RULE_RE.test(line) ||
+        MD_LIST_RE.test(line) || /^\s*>/.test(line) ||
+        (line.includes('|') && MD_TABLE_DIVIDER_RE.test(lines[i + 1] || ''));
+}
+
+/**
+ * Render a Markdown document to a fragment
+ * @param {string} markdown - README source
+ * @param {Object} ctx - { repo, branch, dir } for resolving relative URLs
+ * @returns {DocumentFragment}
+ */
+function renderMarkdown(markdown, ctx) {
+    const lines = markdown
+        .replace(/\r\n?/g, '\n')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        // Tags are dropped inline, but these would leave their contents behind as text
+        .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+        .split('\n');
+    const fragment = document.createDocumentFragment();
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code: everything up to the matching fence, verbatim
+        if ((match = MD_FENCE_RE.exec(line))) {
+            const fence = match[1];
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+            i++;
+            fragment.append(createEl('pre', {},
+                createEl('code', { class: match[2] ? 'language-' + match[2] : null }, code.join('\n'))
+            ));
+            continue;
+        }
+
+        // Headings sit two levels down: the drawer title is the h2
+        if ((match = MD_HEADING_RE.exec(line))) {
+            const level = Math.min(6, match[1].length + 2);
+            fragment.append(createEl('h' + level, {}, ...renderInline(match[2], ctx)));
+            i++;
+            continue;
+        }
+
+        if (MD_RULE_RE.test(line)) {
+            fragment.append(createEl('hr'));
+            i++;
+            continue;
+        }
+
+        if (MD_LIST_RE.test(line)) {
+            const [list, next] = parseList(lines, i, ctx);
+            fragment.append(list);
+            i = next;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+            fragment.append(createEl('blockquote', {}, renderMarkdown(quoted.join('\n'), ctx)));
+            continue;
+        }
+
+        if (line.includes('|') && MD_TABLE_DIVIDER_RE.test(lines[i + 1] || '')) {
+            const head = tableCells(line);
+            i += 2;
+            const rows = [];
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(tableCells(lines[i++]));
+            fragment.append(createEl('div', { class: 'readme-table' },
+                createEl('table', {},
+                    createEl('thead', {}, createEl('tr', {},
+                        ...head.map(cell => createEl('th', {}, ...renderInline(cell, ctx))))),
+                    createEl('tbody', {}, ...rows.map(row => createEl('tr', {},
+                        ...row.map(cell => createEl('td', {}, ...renderInline(cell, ctx))))))
+                )
+            ));
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or the start of another block
+        const text = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) text.push(lines[i++].trim());
+
+        const nodes = renderInline(text.join(' '), ctx);
+        // A line that was only raw HTML tags renders to nothing; skip the empty <p>
+        if (nodes.some(node => node.nodeType !== Node.TEXT_NODE || node.textContent.trim())) {
+            fragment.append(createEl('p', {}, ...nodes));
+        }
+    }
+
+    return fragment;
+}
+
+/* ==========================================================================
+   README fetching
+   ========================================================================== */
+
+/**
+ * Fetch a repo's README through the contents API
+ * @param {Object} repo - Repository object
+ * @returns {Promise<Object>} { markdown, path }, or { markdown: null } if the repo has none
+ */
+async function fetchReadme(repo) {
+    if (readmeCache.has(repo.full_name)) return readmeCache.get(repo.full_name);
+
+    // Opened on request, so it counts as essential to the shared budget
+    const response = await githubFetch(`https://api.github.com/repos/${repo.full_name}/readme`, {
+        accept: [404]
+    });
+
+    if (response.status === 404) {
+        const none = { markdown: null, path: '' };
+        readmeCache.set(repo.full_name, none);
+        return none;
+    }
+
+    const { content, path } = await response.json();
+
+    // Base64 of UTF-8 bytes; atob alone would mangle anything non-ASCII
+    const bytes = Uint8Array.from(atob(content.replace(/\s/g, '')), ch => ch.charCodeAt(0));
+    const readme = { markdown: new TextDecoder().decode(bytes), path };
+
+    readmeCache.set(repo.full_name, readme);
+    return readme;
+}
+
+/* ==========================================================================
+   The drawer
+   ========================================================================== */
+
+/**
+ * Fill the meta block: description, topics, homepage, licence, GitHub link
+ * @param {Element} meta - The drawer's .readme-meta
+ * @param {Object} repo - Repository object
+ */
+function renderReadmeMeta(meta, repo) {
+    const homepage = repo.homepage && /^https?:\/\//i.test(repo.homepage) ? repo.homepage : null;
+    const githubUrl = safeGitHubUrl(repo.html_url) || `https://github.com/${repo.full_name}`;
+    const license = repo.license && repo.license.spdx_id && repo.license.spdx_id !== 'NOASSERTION'
+        ? repo.license.spdx_id
+        : null;
+
+    // replaceChildren() would print skipped parts as "false"/"null"; drop them first
+    meta.replaceChildren(...[
+        repo.description && createEl('p', { class: 'readme-description' }, repo.description),
+        repo.topics && repo.topics.length > 0 && createEl('ul', { class: 'readme-topics', 'aria-label': 'Topics' },
+            ...repo.topics.map(topic => createEl('li', { class: 'experience-tag' }, topic))
+        ),
+        createEl('dl', { class: 'readme-facts' },
+            homepage && createEl('div', {}, createEl('dt', {}, 'homepage'), createEl('dd', {},
+                createEl('a', { href: homepage, target: '_blank', rel: 'noopener noreferrer' }, homepage.replace(/^https?:\/\//, '')))),
+            license && createEl('div', {}, createEl('dt', {}, 'license'), createEl('dd', {}, license)),
+            repo.language && createEl('div', {}, createEl('dt', {}, 'language'), createEl('dd', {}, repo.language))
+        ),
+        createEl('a', {
+            class: 'btn btn-primary btn-sm',
+            href: githubUrl,
+            target: '_blank',
+            rel: 'noopener noreferrer'
+        }, 'Open on GitHub')
+    ].filter(Boolean));
+}
+
+/**
+ * Wire up the drawer and the card clicks that open it
+ */
+function initReadmeDrawer() {
+    const drawer = document.getElementById('readme-drawer');
+    if (!drawer) return;
+
+    const panel = drawer.querySelector('.readme-panel');
+    const title = drawer.querySelector('.readme-title');
+    const windowTitle = drawer.querySelector('.term-title');
+    const meta = drawer.querySelector('.readme-meta');
+    const body = drawer.querySelector('.readme-body');
+    const closeButton = drawer.querySelector('.readme-close');
+
+    let returnFocus = null;
+    let openFor = null;
+
+    async function open(repo, card) {
+        openFor = repo.full_name;
+        returnFocus = card;
+
+        title.textContent = repo.name;
+        windowTitle.textContent = `kitty~/repos/${repo.name}`;
+        renderReadmeMeta(meta, repo);
+        body.replaceChildren(createEl('p', { class: 'readme-status' }, 'fetching README…'));
+        body.setAttribute('aria-busy', 'true');
+
+        drawer.hidden = false;
+        document.body.style.overflow = 'hidden';
+        // Next frame, so the slide-in transition runs from the closed state
+        requestAnimationFrame(() => drawer.classList.add('is-open'));
+        panel.scrollTop = 0;
+        closeButton.focus();
+
+        await loadReadme(repo);
+    }
+
+    /**
+     * Fetch and render the README into the open drawer. A rate limit counts
+     * down to the reset and tries again, if the drawer is still on this repo.
+     * @param {Object} repo - Repository object from the GitHub API
+     * @returns {Promise<void>}
+     */
+    async function loadReadme(repo) {
+        try {
+            const readme = await fetchReadme(repo);
+            // Closed, or another repo opened, while this one was loading
+            if (openFor !== repo.full_name) return;
+
+            if (!readme.markdown) {
+                body.replaceChildren(createEl('p', { class: 'readme-status' }, 'This repository has no README.'));
+            } else {
+                const dir = readme.path.includes('/') ? readme.path.replace(/[^/]*$/, '') : '';
+                body.replaceChildren(renderMarkdown(readme.markdown, {
+                    repo,
+                    branch: repo.default_branch || 'HEAD',
+                    dir
+                }));
+            }
+        } catch (error) {
+            if (openFor !== repo.full_name) return;
+            const status = createEl('p', { class: 'readme-status readme-error' }, '⚠️ ' + error.message);
+            if (error.resetAt) {
+                // role="timer" keeps screen readers from announcing every tick
+                const clock = createEl('span', { class: 'error-countdown', role: 'timer' });
+                status.append(' Retrying in ', clock, '.');
+                startGitHubCountdown(clock, error.resetAt, () => {
+                    if (openFor !== repo.full_name) return;
+                    body.replaceChildren(createEl('p', { class: 'readme-status' }, 'fetching README…'));
+                    body.setAttribute('aria-busy', 'true');
+                    loadReadme(repo);
+                });
+            }
+            body.replaceChildren(status);
+        } finally {
+            body.removeAttribute('aria-busy');
+        }
+    }
+
+    function close() {
+        if (drawer.hidden) return;
+        openFor = null;
+        drawer.classList.remove('is-open');
+        document.body.style.overflow = '';
+
+        // Hide once the slide-out has finished; straight away if nothing animates
+        const finish = () => {
+            if (!drawer.classList.contains('is-open')) drawer.hidden = true;
+        };
+        const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        if (reducedMotion) finish();
+        else setTimeout(finish, 300);
+
+        if (returnFocus && returnFocus.isConnected) returnFocus.focus();
+        returnFocus = null;
+    }
+
+    // Delegated from the document, so it covers every repo grid on the page
+    document.addEventListener('click', (e) => {
+        const card = e.target.closest('.repo-card[data-repo]');
+        if (!card) return;
+        // Leave "open in new tab" and friends to the browser
+        if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+        const repo = typeof findRepo === 'function' ? findRepo(card.dataset.repo) : null;
+        if (!repo) return;
+
+        e.preventDefault();
+        open(repo, card);
+    });
+
+    closeButton.addEventListener('click', close);
+
+    // The backdrop is the drawer element itself; the panel stops short of it
+    drawer.addEventListener('click', (e) => {
+        if (e.target === drawer) close();
+    });
+
+    drawer.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+            return;
+        }
+
+        // Keep Tab inside the dialog while it is open
+        if (e.key !== 'Tab') return;
+        const focusable = Array.from(panel.querySelectorAll('a[href], button, [tabindex="0"]'))
+            .filter(el => !el.closest('[hidden]'));
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initReadmeDrawer);
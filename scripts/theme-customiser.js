@@ -0,0 +1,449 @@
+/**
+ * ============================================================================
+ * THEME-CUSTOMISER.JS - Pick your own accent, kept at WCAG AA
+ * ============================================================================
+ *
+ * A small panel, opened from the theme menu, with a hue slider and an exact
+ * colour input. The choice is turned into the whole accent token set that
+ * themes.css documents (--accent-primary, -bright, -hover, -fill, -on-fill
+ * and --highlight-bg) and set inline on <html>, so it wins over the flavour
+ * blocks without touching them.
+ *
+ * CONTRAST: every derived token is checked against the current flavour's own
+ * tokens, following the ACCENT TOKEN RULES in themes.css:
+ * - --accent-primary  >= 4.5:1 on --bg-primary, -secondary and -tertiary
+ * - --accent-bright   >= 4.5:1 on --bg-surface
+ * - --accent-on-fill  >= 4.5:1 on --accent-fill, picked from the flavour's
+ *                        own on-fill and text tokens
+ * A colour that falls short is moved in lightness (same hue and saturation)
+ * until it passes. If an exact colour would have to move further than
+ * ACCENT_MAX_SHIFT (or past ACCENT_LIGHTNESS) it would no longer be the
+ * colour that was picked, so it is refused and the previous accent stays.
+ *
+ * PERSISTENCE: one entry per flavour in ACCENT_STORAGE_KEY, holding what was
+ * picked and the tokens derived from it. The pre-paint script in index.html
+ * applies the tokens before first paint; this file re-derives nothing on load.
+ *
+ * TO REMOVE: drop the <script> and <link> tags for this file and its
+ * stylesheet, the #theme-customiser block in index.html, and the accent lines
+ * of the pre-paint script. The theme menu only offers the panel when it is
+ * on the page. It needs scripts/dom.js and scripts/theme-toggle.js.
+ * ============================================================================
+ */
+
+const ACCENT_STORAGE_KEY = 'portfolio_accents';
+const ACCENT_MIN_CONTRAST = 4.5; // WCAG AA for normal-size text
+const ACCENT_SATURATION = 90; // % used for colours picked by hue alone
+const ACCENT_MAX_SHIFT = 25; // Lightness points an exact colour may be moved
+
+/* The tokens this panel owns. Everything else stays with themes.css. */
+const ACCENT_TOKENS = [
+    '--accent-primary',
+    '--accent-bright',
+    '--accent-hover',
+    '--accent-fill',
+    '--accent-on-fill',
+    '--highlight-bg'
+];
+
+/* Lightness (%) per mode: where a hue pick starts, and how far a colour may be
+   pushed before it stops reading as that colour. `step` is the direction that
+   gains contrast on the mode's backgrounds. */
+const ACCENT_LIGHTNESS = {
+    dark: { start: 68, min: 45, max: 88, step: 1 },
+    light: { start: 36, min: 15, max: 50, step: -1 }
+};
+
+// ============================================================================
+// Colour maths
+// ============================================================================
+
+/**
+ * @param {string} hex - #rgb or #rrggbb
+ * @returns {Array<number>|null} [r, g, b], 0-255
+ */
+function parseHexColour(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) return null;
+    const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+}
+
+/**
+ * @param {Array<number>} rgb - [r, g, b], 0-255
+ * @returns {string} #rrggbb
+ */
+function toHexColour(rgb) {
+    return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {number} h - Hue, degrees
+ * @param {number} s - Saturation, %
+ * @param {number} l - Lightness, %
+ * @returns {Array<number>} [r, g, b], 0-255
+ */
+function hslToRgb(h, s, l) {
+    s /= 100;
+    l /= 100;
+    const k = n => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    // Whole channels, so contrast is measured on the colour actually set
+    return [f(0), f(8), f(4)].map(c => Math.round(c * 255));
+}
+
+/**
+ * @param {Array<number>} rgb - [r, g, b], 0-255
+ * @returns {Object} { h, s, l } in degrees and %
+ */
+function rgbToHsl(rgb) {
+    const [r, g, b] = rgb.map(c => c / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if (d === 0) return { h: 0, s: 0, l: l * 100 };
+
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return { h: (h * 60 + 360) % 360, s: s * 100, l: l * 100 };
+}
+
+/**
+ * WCAG relative luminance
+ * @param {Array<number>} rgb - [r, g, b], 0-255
+ * @returns {number}
+ */
+function relativeLuminance(rgb) {
+    const [r, g, b] = rgb.map(c => {
+        const v = c / 255;
+        return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colours
+ * @param {Array<number>} a - [r, g, b]
+ * @param {Array<number>} b - [r, g, b]
+ * @returns {number} 1 to 21
+ */
+function contrastRatio(a, b) {
+    const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (hi + 0.05) / (lo + 0.05);
+}
+
+/**
+ * Walk lightness from `from` in `step` until the colour reaches
+ * ACCENT_MIN_CONTRAST on every one of `against`
+ * @param {Object} hsl - { h, s } of the colour; l is ignored
+ * @param {Array<Array<number>>} against - Colours it must stand out from
+ * @param {number} from - Starting lightness, %
+ * @param {number} step - +1 or -1
+ * @param {number} min - Lowest lightness allowed, %
+ * @param {number} max - Highest lightness allowed, %
+ * @returns {number|null} The first passing lightness, or null if none does
+ */
+function findAccessibleLightness(hsl, against, from, step, min, max) {
+    for (let l = Math.min(max, Math.max(min, from)); l >= min && l <= max; l += step) {
+        const rgb = hslToRgb(hsl.h, hsl.s, l);
+        if (against.every(colour => contrastRatio(rgb, colour) >= ACCENT_MIN_CONTRAST)) return l;
+    }
+    return null;
+}
+
+// ============================================================================
+// Deriving the token set
+// ============================================================================
+
+/**
+ * Read the tokens an accent is measured against, as the current flavour
+ * defines them (so any inline accent must be cleared first)
+ * @returns {Object} { bases, surface, onFill: [candidates] }, each as [r, g, b]
+ */
+function readAccentPalette() {
+    const style = getComputedStyle(document.documentElement);
+    const token = name => parseHexColour(style.getPropertyValue(name));
+
+    return {
+        bases: ['--bg-primary', '--bg-secondary', '--bg-tertiary'].map(token).filter(Boolean),
+        surface: token('--bg-surface'),
+        // The flavour's own choice first, then its text colours
+        onFill: ['--accent-on-fill', '--text-primary', '--text-inverse'].map(token).filter(Boolean)
+    };
+}
+
+/**
+ * Turn a pick into the accent token set for one mode and palette
+ * @param {Object} source - { hue } or { colour: '#rrggbb' }
+ * @param {string} mode - 'dark' or 'light'
+ * @param {Object} palette - From readAccentPalette()
+ * @returns {Object} { tokens, ratios, adjusted } or { error }
+ */
+function deriveAccent(source, mode, palette) {
+    const range = ACCENT_LIGHTNESS[mode];
+    const picked = source.colour ? parseHexColour(source.colour) : null;
+    const hsl = picked ? rgbToHsl(picked) : { h: source.hue, s: ACCENT_SATURATION, l: range.start };
+
+    // Primary: an exact colour that already passes is kept exactly
+    let primary = picked;
+    if (!picked || !palette.bases.every(bg => contrastRatio(picked, bg) >= ACCENT_MIN_CONTRAST)) {
+        const l = findAccessibleLightness(hsl, palette.bases, hsl.l, range.step, range.min, range.max);
+        if (l === null || (picked && Math.abs(l - hsl.l) > ACCENT_MAX_SHIFT)) return { error: 'primary' };
+        primary = hslToRgb(hsl.h, hsl.s, l);
+        hsl.l = l;
+    }
+
+    // Bright: as text on the elevated surface; never darker than primary in dark mode
+    const brightL = findAccessibleLightness(hsl, [palette.surface],
+        hsl.l + (mode === 'dark' ? 6 : 0), range.step, Math.max(5, range.min - 10), Math.min(95, range.max + 7));
+    if (brightL === null) return { error: 'bright' };
+    const bright = hslToRgb(hsl.h, hsl.s, brightL);
+
+    const hover = hslToRgb(hsl.h, hsl.s, Math.min(95, Math.max(5, hsl.l + 4 * range.step)));
+
+    // Fill: a solid block, deeper than the text accent in dark mode. Pick the
+    // on-fill text that reads best, then move the fill away from it if needed.
+    let fillL = mode === 'dark' ? Math.min(hsl.l, 47) : hsl.l;
+    let fill;
+    let onFill;
+    for (let tries = 0; ; tries++) {
+        fill = hslToRgb(hsl.h, hsl.s, fillL);
+        onFill = palette.onFill.reduce((best, c) => contrastRatio(fill, c) > contrastRatio(fill, best) ? c : best);
+        if (contrastRatio(fill, onFill) >= ACCENT_MIN_CONTRAST) break;
+        fillL += relativeLuminance(onFill) > relativeLuminance(fill) ? -1 : 1;
+        if (tries === 40 || fillL < 5 || fillL > 95) return { error: 'fill' };
+    }
+
+    const alpha = mode === 'dark' ? 0.12 : 0.08;
+
+    return {
+        tokens: {
+            '--accent-primary': toHexColour(primary),
+            '--accent-bright': toHexColour(bright),
+            '--accent-hover': toHexColour(hover),
+            '--accent-fill': toHexColour(fill),
+            '--accent-on-fill': toHexColour(onFill),
+            '--highlight-bg': `rgba(${primary.map(Math.round).join(', ')}, ${alpha})`
+        },
+        ratios: {
+            primary: Math.min(...palette.bases.map(bg => contrastRatio(primary, bg))),
+            bright: contrastRatio(bright, palette.surface),
+            fill: contrastRatio(fill, onFill)
+        },
+        adjusted: Boolean(picked) && toHexColour(primary) !== toHexColour(picked)
+    };
+}
+
+// ============================================================================
+// Storage & applying
+// ============================================================================
+
+/**
+ * @returns {Object} Saved accents keyed by flavour
+ */
+function getSavedAccents() {
+    try {
+        return JSON.parse(localStorage.getItem(ACCENT_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save, or with a null entry forget, one flavour's accent
+ * @param {string} flavour - A key of THEMES
+ * @param {Object|null} entry - { source, tokens }
+ */
+function saveAccent(flavour, entry) {
+    const accents = getSavedAccents();
+    if (entry) accents[flavour] = entry;
+    else delete accents[flavour];
+
+    try {
+        localStorage.setItem(ACCENT_STORAGE_KEY, JSON.stringify(accents));
+    } catch (error) {
+        console.warn('[Accent] Could not save accent:', error);
+    }
+}
+
+/**
+ * Put a token set on <html>, or with null go back to the flavour's own
+ * @param {Object|null} tokens
+ */
+function setAccentTokens(tokens) {
+    const style = document.documentElement.style;
+    ACCENT_TOKENS.forEach(name => {
+        if (tokens && tokens[name]) style.setProperty(name, tokens[name]);
+        else style.removeProperty(name);
+    });
+}
+
+/**
+ * Apply the saved accent for the current flavour, if there is one
+ */
+function applySavedAccent() {
+    const entry = getSavedAccents()[getCurrentTheme()];
+    setAccentTokens(entry ? entry.tokens : null);
+}
+
+// ============================================================================
+// Panel
+// ============================================================================
+
+/**
+ * Wire the customiser panel
+ * @param {Element} panel - #theme-customiser
+ */
+function initCustomiserPanel(panel) {
+    const hueInput = panel.querySelector('.customiser-hue');
+    const colourInput = panel.querySelector('.customiser-colour');
+    const flavourLabel = panel.querySelector('.customiser-flavour');
+    const ratios = panel.querySelector('.customiser-ratios');
+    const status = panel.querySelector('.customiser-status');
+    let returnFocus = null;
+    let lastGood = null; // Tokens on screen before the current drag, for refusals
+
+    function showRatios(result) {
+        const rows = result
+            ? [
+                ['text on base', result.ratios.primary],
+                ['text on surface', result.ratios.bright],
+                ['text on fill', result.ratios.fill]
+            ]
+            : [];
+        ratios.replaceChildren(...rows.map(([label, ratio]) => createEl('div', {},
+            createEl('dt', {}, label),
+            createEl('dd', {}, `${ratio.toFixed(1)}:1`)
+        )));
+    }
+
+    /* Show the current flavour's state in the controls */
+    function sync() {
+        const flavour = getCurrentTheme();
+        const entry = getSavedAccents()[flavour];
+        const style = getComputedStyle(document.documentElement);
+        const current = parseHexColour(style.getPropertyValue('--accent-primary')) || [255, 85, 102];
+
+        flavourLabel.textContent = THEMES[flavour].label;
+        hueInput.value = entry && entry.source.hue !== undefined
+            ? entry.source.hue
+            : Math.round(rgbToHsl(current).h);
+        colourInput.value = toHexColour(current);
+        lastGood = entry ? entry.tokens : null;
+        showRatios(null);
+    }
+
+    /**
+     * Derive and show a pick; save it once the user lets go
+     * @param {Object} source - { hue } or { colour }
+     * @param {boolean} commit - Save it as this flavour's accent
+     */
+    function pick(source, commit) {
+        const flavour = getCurrentTheme();
+        setAccentTokens(null);
+        const result = deriveAccent(source, THEMES[flavour].mode, readAccentPalette());
+
+        if (result.error) {
+            setAccentTokens(lastGood);
+            showRatios(null);
+            status.textContent = `${source.colour || `Hue ${source.hue}°`} can't reach ${ACCENT_MIN_CONTRAST}:1 on ${THEMES[flavour].label} ` +
+                'without losing its colour. Kept the previous accent.';
+            return;
+        }
+
+        setAccentTokens(result.tokens);
+        showRatios(result);
+        colourInput.value = result.tokens['--accent-primary'];
+
+        if (commit) {
+            lastGood = result.tokens;
+            saveAccent(flavour, { source, tokens: result.tokens });
+            status.textContent = result.adjusted
+                ? `Adjusted ${source.colour} to ${result.tokens['--accent-primary']} to reach ` +
+                  `${ACCENT_MIN_CONTRAST}:1 on ${THEMES[flavour].label}.`
+                : `Saved for ${THEMES[flavour].label}.`;
+        }
+    }
+
+    function open(opener) {
+        returnFocus = opener;
+        sync();
+        status.textContent = '';
+        panel.hidden = false;
+        hueInput.focus();
+        document.addEventListener('pointerdown', onOutside);
+    }
+
+    function close() {
+        if (panel.hidden) return;
+        panel.hidden = true;
+        document.removeEventListener('pointerdown', onOutside);
+        // The menu item that opened the panel is hidden with its menu by now
+        const target = returnFocus && returnFocus.offsetParent !== null
+            ? returnFocus
+            : document.querySelector('.theme-picker');
+        if (target) target.focus();
+    }
+
+    function onOutside(e) {
+        if (!panel.contains(e.target)) close();
+    }
+
+    // Opened from the theme menu (or anything else that names the panel)
+    document.addEventListener('click', (e) => {
+        const opener = e.target.closest(`[aria-controls="${panel.id}"]`);
+        if (opener && !panel.contains(opener)) open(opener);
+    });
+
+    hueInput.addEventListener('input', () => pick({ hue: Number(hueInput.value) }, false));
+    hueInput.addEventListener('change', () => pick({ hue: Number(hueInput.value) }, true));
+    colourInput.addEventListener('change', () => pick({ colour: colourInput.value }, true));
+
+    panel.querySelector('.customiser-reset').addEventListener('click', () => {
+        const flavour = getCurrentTheme();
+        saveAccent(flavour, null);
+        setAccentTokens(null);
+        sync();
+        status.textContent = `Back to ${THEMES[flavour].label}'s own accent.`;
+    });
+
+    panel.querySelector('.customiser-close').addEventListener('click', close);
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+        }
+    });
+
+    // A flavour switch with the panel open: show that flavour's accent
+    new MutationObserver(() => {
+        if (!panel.hidden) sync();
+    }).observe(document.documentElement, { attributes: true, attributeFilter: ['data-flavour'] });
+}
+
+/**
+ * Keep the saved accent in step with the flavour, and set up the panel
+ */
+function initThemeCustomiser() {
+    // Each flavour has its own accent (or none); swap it with the palette
+    new MutationObserver(applySavedAccent).observe(document.documentElement, {
+        attributes: true,
+        attributeFilter: ['data-flavour']
+    });
+
+    // Another tab picked an accent
+    window.addEventListener('storage', (e) => {
+        if (e.key === ACCENT_STORAGE_KEY || e.key === null) applySavedAccent();
+    });
+
+    const panel = document.getElementById('theme-customiser');
+    if (panel) initCustomiserPanel(panel);
+}
+
+document.addEventListener('DOMContentLoaded', initThemeCustomiser);
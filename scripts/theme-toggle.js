@@ -1,58 +1,224 @@
 /**
  * ============================================================================
- * THEME-TOGGLE.JS - Dark/Light Theme Management
+ * THEME-TOGGLE.JS - Theme flavours, picker menu and persistence
  * ============================================================================
- * 
+ *
  * This module handles:
- * - Reading user's theme preference from localStorage
+ * - The theme registry: every named flavour, and whether it is dark or light
+ * - Reading user's theme preference from localStorage, checked against the
+ *   registry so a stale or hand-edited value cannot break the page
  * - Falling back to system preference (prefers-color-scheme)
- * - Smooth theme transitions
- * - Persisting theme choice
- * 
+ * - The light / dark / system toggle (.theme-toggle)
+ * - The flavour picker menu (.theme-picker)
+ * - Smooth theme transitions: a circular reveal from the clicked button
+ *   where the View Transitions API is available, colour fades where not
+ * - Persisting theme choice, and keeping other open tabs in step
+ *
+ * MODES:
+ * - dark / light : STORAGE_KEY holds a flavour of that mode
+ * - system       : STORAGE_KEY is absent; the page follows the OS setting,
+ *                  live, using the flavour last chosen for each mode
+ *                  (FLAVOURS_KEY)
+ *
+ * HOW A THEME IS APPLIED:
+ * <html data-theme="dark|light" data-flavour="mocha|…" data-theme-mode="…">.
+ * data-theme is the mode every existing light/dark rule keys off;
+ * data-flavour selects the palette block in styles/themes.css;
+ * data-theme-mode (dark, light or system) picks the toggle's icon.
+ *
  * CUSTOMIZATION:
- * - Theme values: 'dark' or 'light'
- * - Change STORAGE_KEY to use different localStorage key
- * 
+ * - Add a flavour to THEMES, give it a [data-flavour] block in themes.css,
+ *   and add its name to the pre-paint script in index.html
+ * - Change STORAGE_KEY / FLAVOURS_KEY to use different localStorage keys
+ *
  * ============================================================================
  */
 
 // Configuration
 const STORAGE_KEY = 'portfolio_theme';
+const FLAVOURS_KEY = 'portfolio_theme_flavours'; // { dark, light }: last flavour picked for each mode
 
 /**
- * Get the user's preferred theme
- * Priority: localStorage > system preference > default (dark)
- * @returns {string} 'dark' or 'light'
+ * The theme registry, in menu order.
+ * - label  : shown in the picker
+ * - mode   : 'dark' or 'light'; becomes data-theme
+ * - swatch : a few of the flavour's colours for the menu's preview dots
+ *            (base, surface, text), so the menu does not have to apply a
+ *            theme to show it
+ *
+ * Room for more: `gruvbox: { label: 'Gruvbox', mode: 'dark', swatch: [...] }`
+ * plus its [data-flavour="gruvbox"] block in themes.css.
  */
-function getPreferredTheme() {
-    // Check localStorage first
-    const storedTheme = localStorage.getItem(STORAGE_KEY);
-    if (storedTheme) {
-        return storedTheme;
+const THEMES = {
+    latte: { label: 'Latte', mode: 'light', swatch: ['#eff1f5', '#ccd0da', '#4c4f69'] },
+    frappe: { label: 'Frappé', mode: 'dark', swatch: ['#303446', '#414559', '#c6d0f5'] },
+    macchiato: { label: 'Macchiato', mode: 'dark', swatch: ['#24273a', '#363a4f', '#cad3f5'] },
+    mocha: { label: 'Mocha', mode: 'dark', swatch: ['#1e1e2e', '#313244', '#cdd6f4'] }
+};
+
+/* The flavour each mode falls back to until one is picked, and what values
+   stored before flavours existed ('dark', 'light') mean */
+const DEFAULT_FLAVOURS = { dark: 'mocha', light: 'latte' };
+
+/* Toggle order, and the wording for each mode */
+const THEME_MODES = ['dark', 'light', 'system'];
+const THEME_MODE_LABELS = { dark: 'Dark', light: 'Light', system: 'System' };
+
+const systemLightQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+
+const THEME_REVEAL_MS = 520;
+let activeReveal = null; // The running view transition, if any
+
+/**
+ * Turn a stored value into a registered flavour name
+ * @param {string|null} value - Whatever was in localStorage
+ * @returns {string|null} A key of THEMES, or null if the value is unusable
+ */
+function resolveFlavour(value) {
+    if (!value) return null;
+    if (Object.prototype.hasOwnProperty.call(THEMES, value)) return value;
+    // Stored by the dark/light-only version of this file
+    if (DEFAULT_FLAVOURS[value]) return DEFAULT_FLAVOURS[value];
+    return null;
+}
+
+/**
+ * The stored flavour, if there is a valid one
+ * @returns {string|null} A key of THEMES, or null in system mode
+ */
+function getStoredTheme() {
+    try {
+        return resolveFlavour(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+        // Private mode: behave as if nothing were stored
+        return null;
     }
+}
 
-    // Fall back to system preference
-    if (window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches) {
-        return 'light';
+/**
+ * The flavour to use for a mode: the one last picked for it, or its default
+ * @param {string} mode - 'dark' or 'light'
+ * @returns {string} A key of THEMES
+ */
+function getFlavourForMode(mode) {
+    try {
+        const remembered = JSON.parse(localStorage.getItem(FLAVOURS_KEY)) || {};
+        const flavour = resolveFlavour(remembered[mode]);
+        if (flavour && THEMES[flavour].mode === mode) return flavour;
+    } catch (error) {
+        // Unreadable: use the default
     }
+    return DEFAULT_FLAVOURS[mode];
+}
 
-    // Default to dark theme
-    return 'dark';
+/**
+ * Remember a flavour as the one to use for its mode
+ * @param {string} theme - A key of THEMES
+ */
+function rememberFlavour(theme) {
+    try {
+        const remembered = JSON.parse(localStorage.getItem(FLAVOURS_KEY)) || {};
+        remembered[THEMES[theme].mode] = theme;
+        localStorage.setItem(FLAVOURS_KEY, JSON.stringify(remembered));
+    } catch (error) {
+        console.warn('[Theme] Could not save flavour:', error);
+    }
 }
 
 /**
- * Apply a theme to the document
- * @param {string} theme - 'dark' or 'light'
- * @param {boolean} animate - Whether to animate the transition
+ * The OS colour scheme
+ * @returns {string} 'dark' or 'light'
+ */
+function getSystemMode() {
+    return systemLightQuery && systemLightQuery.matches ? 'light' : 'dark';
+}
+
+/**
+ * The current setting of the mode toggle
+ * @returns {string} 'dark', 'light' or 'system'
+ */
+function getThemeMode() {
+    const stored = getStoredTheme();
+    return stored ? THEMES[stored].mode : 'system';
+}
+
+/**
+ * Get the user's preferred theme
+ * Priority: localStorage (if registered) > system preference, using the
+ * flavour last picked for that mode > default (mocha / latte)
+ * @returns {string} A key of THEMES
+ */
+function getPreferredTheme() {
+    return getStoredTheme() || getFlavourForMode(getSystemMode());
+}
+
+/**
+ * Whether a theme switch can run as a view transition
+ * @returns {boolean}
+ */
+function canRevealTheme() {
+    return typeof document.startViewTransition === 'function' &&
+        !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Switch the theme inside a view transition, revealing the new one as a
+ * circle that grows out of `origin`.
+ *
+ * The whole page (particle canvas and status bar included) is one snapshot,
+ * so everything switches together under the circle. The per-property colour
+ * transitions stay off until it ends: otherwise the "new" side would start out
+ * in the old colours and fade, which reads as a flash.
+ * @param {Function} update - Sets the new theme attributes
+ * @param {Element} origin - The button that was clicked
  */
-function applyTheme(theme, animate = true) {
+function revealTheme(update, origin) {
+    const root = document.documentElement;
+    const rect = origin.getBoundingClientRect();
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+    // Far enough to cover the furthest corner of the viewport
+    const radius = Math.hypot(Math.max(x, window.innerWidth - x), Math.max(y, window.innerHeight - y));
+
+    root.classList.add('no-transition');
+    const transition = document.startViewTransition(update);
+    activeReveal = transition;
+
+    transition.ready.then(() => {
+        root.animate({
+            clipPath: [`circle(0px at ${x}px ${y}px)`, `circle(${radius}px at ${x}px ${y}px)`]
+        }, {
+            duration: THEME_REVEAL_MS,
+            easing: 'cubic-bezier(0.16, 1, 0.3, 1)', // --ease-cut
+            pseudoElement: '::view-transition-new(root)'
+        });
+    }).catch(() => {
+        // Skipped (e.g. the tab was hidden); the update has still run
+    });
+
+    // A quick second click skips this transition; leave the class to the new one
+    transition.finished.finally(() => {
+        if (activeReveal !== transition) return;
+        activeReveal = null;
+        root.classList.remove('no-transition');
+    });
+}
+
+/**
+ * Set the theme attributes on <html>
+ * @param {string} flavour - A key of THEMES
+ * @param {boolean} animate - Whether the colour transitions may run
+ */
+function setThemeAttributes(flavour, animate) {
     // Temporarily disable transitions on initial load
     if (!animate) {
         document.documentElement.classList.add('no-transition');
     }
 
-    // Set the theme attribute
-    document.documentElement.setAttribute('data-theme', theme);
+    // Set the mode, the palette, and the toggle setting (which picks its icon)
+    document.documentElement.setAttribute('data-theme', THEMES[flavour].mode);
+    document.documentElement.setAttribute('data-flavour', flavour);
+    document.documentElement.setAttribute('data-theme-mode', getThemeMode());
 
     // Re-enable transitions
     if (!animate) {
@@ -60,16 +226,34 @@ function applyTheme(theme, animate = true) {
         document.documentElement.offsetHeight;
         document.documentElement.classList.remove('no-transition');
     }
+}
+
+/**
+ * Apply a theme to the document
+ * @param {string} theme - A key of THEMES
+ * @param {boolean} animate - Whether to animate the transition
+ * @param {Element|null} origin - The clicked control, for the circular reveal;
+ *   without one (system or cross-tab changes) colours just fade
+ */
+function applyTheme(theme, animate = true, origin = null) {
+    const flavour = resolveFlavour(theme) || DEFAULT_FLAVOURS.dark;
+
+    // Nothing to reveal when only the toggle setting changes (system -> dark)
+    if (animate && origin && flavour !== getCurrentTheme() && canRevealTheme()) {
+        revealTheme(() => setThemeAttributes(flavour, true), origin);
+    } else {
+        setThemeAttributes(flavour, animate);
+    }
 
     // Update any theme toggle buttons
-    updateToggleButtons(theme);
+    updateToggleButtons(flavour);
 
-    console.log('[Theme] Applied theme:', theme);
+    console.log('[Theme] Applied theme:', flavour);
 }
 
 /**
  * Save theme preference to localStorage
- * @param {string} theme - 'dark' or 'light'
+ * @param {string} theme - A key of THEMES
  */
 function saveTheme(theme) {
     try {
@@ -80,28 +264,242 @@ function saveTheme(theme) {
 }
 
 /**
- * Toggle between dark and light themes
+ * The flavour currently on the page
+ * @returns {string} A key of THEMES
+ */
+function getCurrentTheme() {
+    return resolveFlavour(document.documentElement.getAttribute('data-flavour')) ||
+        resolveFlavour(document.documentElement.getAttribute('data-theme')) ||
+        DEFAULT_FLAVOURS.dark;
+}
+
+/**
+ * Apply and remember a flavour. This also fixes the mode to the flavour's
+ * own; picking a flavour is an explicit choice.
+ * @param {string} theme - A key of THEMES; anything else is ignored
+ * @param {Element|null} origin - The clicked control, for the reveal
+ */
+function setTheme(theme, origin = null) {
+    const flavour = resolveFlavour(theme);
+    if (!flavour) return;
+
+    // Save first: applyTheme() reads the stored setting for the toggle
+    saveTheme(flavour);
+    rememberFlavour(flavour);
+    applyTheme(flavour, true, origin);
+}
+
+/**
+ * Switch the mode toggle's setting
+ * @param {string} mode - 'dark', 'light' or 'system'
+ * @param {Element|null} origin - The clicked control, for the reveal
  */
-function toggleTheme() {
-    const currentTheme = document.documentElement.getAttribute('data-theme') || 'dark';
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+function setThemeMode(mode, origin = null) {
+    if (mode === 'system') {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn('[Theme] Could not clear preference:', error);
+        }
+        applyTheme(getFlavourForMode(getSystemMode()), true, origin);
+        return;
+    }
 
-    applyTheme(newTheme, true);
-    saveTheme(newTheme);
+    if (!DEFAULT_FLAVOURS[mode]) return;
+    const flavour = getFlavourForMode(mode);
+    saveTheme(flavour);
+    applyTheme(flavour, true, origin);
+}
+
+/**
+ * Cycle the mode toggle: dark -> light -> system -> dark
+ * @param {Event} [event] - The click, whose button the reveal grows from
+ */
+function toggleTheme(event) {
+    const current = THEME_MODES.indexOf(getThemeMode());
+    const origin = event && event.currentTarget instanceof Element ? event.currentTarget : null;
+    setThemeMode(THEME_MODES[(current + 1) % THEME_MODES.length], origin);
 }
 
 /**
- * Update all theme toggle buttons to reflect current theme
+ * Update all theme toggle buttons and picker menus to reflect current theme
  * @param {string} theme - Current theme
  */
 function updateToggleButtons(theme) {
-    const buttons = document.querySelectorAll('.theme-toggle');
-    buttons.forEach(button => {
-        // Update aria-label for accessibility
-        button.setAttribute(
-            'aria-label',
-            theme === 'dark' ? 'Switch to light theme' : 'Switch to dark theme'
-        );
+    const mode = getThemeMode();
+    const next = THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
+    const modeLabel = mode === 'system'
+        ? `System (${THEMES[theme].mode})`
+        : THEME_MODE_LABELS[mode];
+
+    document.querySelectorAll('.theme-toggle').forEach(button => {
+        // The label says what a click will do
+        button.setAttribute('aria-label', `Theme mode: ${modeLabel}. Switch to ${THEME_MODE_LABELS[next].toLowerCase()}`);
+        button.title = `Theme: ${modeLabel}`;
+    });
+
+    document.querySelectorAll('.theme-picker').forEach(button => {
+        button.setAttribute('aria-label', `Theme flavour: ${THEMES[theme].label}. Choose flavour`);
+    });
+
+    document.querySelectorAll('.theme-menu [data-theme-option]').forEach(item => {
+        item.setAttribute('aria-checked', String(item.dataset.themeOption === theme));
+    });
+}
+
+/**
+ * Build the picker menu for one picker button
+ * @param {Element} button - A .theme-picker
+ * @returns {Element} The menu, inserted after the button and hidden
+ */
+function createThemeMenu(button) {
+    const menu = document.createElement('ul');
+    menu.className = 'theme-menu';
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', 'Theme flavour');
+    menu.hidden = true;
+
+    Object.keys(THEMES).forEach(name => {
+        const theme = THEMES[name];
+        const item = document.createElement('li');
+        item.setAttribute('role', 'none');
+
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'theme-option';
+        option.setAttribute('role', 'menuitemradio');
+        option.setAttribute('tabindex', '-1');
+        option.dataset.themeOption = name;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'theme-swatch';
+        swatch.setAttribute('aria-hidden', 'true');
+        theme.swatch.forEach(colour => {
+            const dot = document.createElement('span');
+            dot.style.backgroundColor = colour;
+            swatch.appendChild(dot);
+        });
+
+        const label = document.createElement('span');
+        label.className = 'theme-option-label';
+        label.textContent = theme.label;
+
+        const mode = document.createElement('span');
+        mode.className = 'theme-option-mode';
+        mode.textContent = theme.mode;
+
+        option.append(swatch, label, mode);
+        item.appendChild(option);
+        menu.appendChild(item);
+    });
+
+    // The accent panel (theme-customiser.js) opens itself from this item
+    if (document.getElementById('theme-customiser')) {
+        const item = document.createElement('li');
+        item.setAttribute('role', 'none');
+        item.className = 'theme-menu-extra';
+
+        const action = document.createElement('button');
+        action.type = 'button';
+        action.className = 'theme-option';
+        action.setAttribute('role', 'menuitem');
+        action.setAttribute('tabindex', '-1');
+        action.setAttribute('aria-controls', 'theme-customiser');
+        action.textContent = 'Custom accent…';
+
+        item.appendChild(action);
+        menu.appendChild(item);
+    }
+
+    button.setAttribute('aria-haspopup', 'menu');
+    button.setAttribute('aria-expanded', 'false');
+    button.insertAdjacentElement('afterend', menu);
+    return menu;
+}
+
+/**
+ * Wire a picker button to its menu: opening and closing, arrow-key movement
+ * between options, and choosing one
+ * @param {Element} button - A .theme-picker
+ */
+function initThemeMenu(button) {
+    const menu = createThemeMenu(button);
+    const options = () => Array.from(menu.querySelectorAll('[role^="menuitem"]'));
+
+    function open(focusLast = false) {
+        menu.hidden = false;
+        button.setAttribute('aria-expanded', 'true');
+        const items = options();
+        const checked = items.find(item => item.getAttribute('aria-checked') === 'true');
+        (focusLast ? items[items.length - 1] : checked || items[0]).focus();
+        document.addEventListener('pointerdown', onOutside);
+    }
+
+    function close(returnFocus = true) {
+        if (menu.hidden) return;
+        menu.hidden = true;
+        button.setAttribute('aria-expanded', 'false');
+        document.removeEventListener('pointerdown', onOutside);
+        if (returnFocus) button.focus();
+    }
+
+    function onOutside(e) {
+        if (!menu.contains(e.target) && !button.contains(e.target)) close(false);
+    }
+
+    button.addEventListener('click', () => {
+        if (menu.hidden) open();
+        else close();
+    });
+
+    button.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            open(e.key === 'ArrowUp');
+        }
+    });
+
+    menu.addEventListener('click', (e) => {
+        const option = e.target.closest('[role^="menuitem"]');
+        if (!option) return;
+        if (option.dataset.themeOption) {
+            // Grow the reveal from the picker; the menu is gone by then
+            setTheme(option.dataset.themeOption, button);
+            close();
+        } else {
+            // An action item: whatever it opens takes focus from here
+            close(false);
+        }
+    });
+
+    menu.addEventListener('keydown', (e) => {
+        const items = options();
+        const index = items.indexOf(document.activeElement);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                items[(index + 1) % items.length].focus();
+                break;
+            case 'ArrowUp':
+                items[(index - 1 + items.length) % items.length].focus();
+                break;
+            case 'Home':
+                items[0].focus();
+                break;
+            case 'End':
+                items[items.length - 1].focus();
+                break;
+            case 'Escape':
+                close();
+                break;
+            case 'Tab':
+                // Let focus move on; just do not leave the menu open behind it
+                close(false);
+                return;
+            default:
+                return;
+        }
+        e.preventDefault();
     });
 }
 
@@ -111,27 +509,35 @@ function updateToggleButtons(theme) {
 function initTheme() {
     // Apply theme immediately without animation to prevent flash
     const theme = getPreferredTheme();
-    applyTheme(theme, false);
 
-    // Set up event listeners for toggle buttons
+    // Set up event listeners for toggle buttons, and a menu per picker
     document.querySelectorAll('.theme-toggle').forEach(button => {
         button.addEventListener('click', toggleTheme);
     });
+    document.querySelectorAll('.theme-picker').forEach(initThemeMenu);
 
-    // Listen for system preference changes
-    if (window.matchMedia) {
-        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            // Only auto-switch if user hasn't set a preference
-            if (!localStorage.getItem(STORAGE_KEY)) {
-                applyTheme(e.matches ? 'dark' : 'light', true);
+    applyTheme(theme, false);
+
+    // Follow system preference changes, live, while in system mode
+    if (systemLightQuery) {
+        systemLightQuery.addEventListener('change', () => {
+            if (getThemeMode() === 'system') {
+                applyTheme(getFlavourForMode(getSystemMode()), true);
             }
         });
     }
 
+    // Another tab changed the setting; key is null when storage was cleared
+    window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY || e.key === FLAVOURS_KEY || e.key === null) {
+            applyTheme(getPreferredTheme(), true);
+        }
+    });
+
     console.log('[Theme] Initialized with theme:', theme);
 }
 
 // Export for potential module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { initTheme, toggleTheme, getPreferredTheme };
+    module.exports = { initTheme, toggleTheme, setTheme, setThemeMode, getThemeMode, getPreferredTheme, THEMES };
 }
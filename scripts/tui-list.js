@@ -0,0 +1,291 @@
+/**
+ * ============================================================================
+ * TUI-LIST.JS - Keyboard cursor for any list or grid of cards
+ * ============================================================================
+ *
+ * createTuiList(element, options) makes a container one Tab stop with a
+ * cursor that keys move, the roving-tabindex pattern the contact TUI started
+ * with:
+ * - j/k or Up/Down       previous / next (a row up or down in a grid)
+ * - h/l or Left/Right    previous / next, in a grid
+ * - Home / End           first / last
+ * - Enter                onActivate; by default the item's own link
+ * - any other letter     type-ahead: jump to the next item starting with it
+ *
+ * Items are looked up live, so a grid that re-renders (the repo grid after a
+ * filter or "load more") keeps working; hidden items are skipped. The cursor
+ * also follows focus and the pointer, so it never disagrees with either.
+ *
+ * TUI_LIST_TARGETS applies it to the page's card grids; scripts/contact-tui.js
+ * builds its own with its vim keymap on top.
+ *
+ * TO REMOVE: drop the <script> and <link> tags for this file and its
+ * stylesheet. scripts/contact-tui.js needs it; remove that first. It needs
+ * scripts/dom.js.
+ * ============================================================================
+ */
+
+const TUI_TYPEAHEAD_MS = 600; // Keys typed within this of each other form one search
+
+/* The page's card collections, driven with hjkl. getLabel is what
+   type-ahead matches: the card's title, not whatever text comes first. */
+const TUI_LIST_TARGETS = [
+    {
+        selector: '#repos-grid',
+        items: '.repo-card',
+        columns: 'auto',
+        getLabel: card => cleanText(card.querySelector('.repo-name'))
+    },
+    {
+        selector: '#projects .tiling-grid',
+        items: '.project-card',
+        columns: 'auto',
+        getLabel: card => cleanText(card.querySelector('.project-card-title'))
+    },
+    {
+        selector: '.experience-timeline',
+        items: '.experience-card',
+        columns: 1,
+        getLabel: card => cleanText(card.querySelector('.experience-title'))
+    }
+];
+
+/**
+ * Default for Enter: links and buttons do their own thing; a card follows the
+ * first link inside it
+ * @param {Element} item
+ * @param {number} index
+ * @param {KeyboardEvent} event
+ */
+function activateTuiItem(item, index, event) {
+    if (item.matches('a[href], button')) return;
+    const link = item.querySelector('a[href]');
+    if (!link) return;
+    event.preventDefault();
+    link.click();
+}
+
+/**
+ * Count the columns of a laid-out grid: the items sharing the first one's top
+ * @param {Array<Element>} items - Visible items, in order
+ * @returns {number}
+ */
+function countTuiColumns(items) {
+    if (items.length === 0) return 1;
+    const top = items[0].offsetTop;
+    const columns = items.findIndex(item => item.offsetTop !== top);
+    return columns === -1 ? items.length : columns;
+}
+
+/**
+ * Make a container keyboard-navigable as a list or grid
+ * @param {Element} element - The container
+ * @param {Object} [options]
+ * @param {string} [options.items='[data-tui-item]'] - Selector for the items, within element
+ * @param {number|string} [options.columns=1] - 1 for a list, a number for a fixed grid,
+ *                        'auto' to measure it from the layout
+ * @param {boolean} [options.wrap=true] - Whether stepping past either end wraps
+ * @param {boolean} [options.typeAhead=true] - Letters jump to matching items
+ * @param {boolean} [options.keys=true] - Handle keys at all; false leaves them to the caller,
+ *                  which drives the list through the returned methods
+ * @param {Function} [options.getLabel] - Item -> text for type-ahead; defaults to its text
+ * @param {Function} [options.onSelect] - (item, index) when the cursor moves
+ * @param {Function} [options.onActivate] - (item, index, event) on Enter
+ * @param {string} [options.selectedClass='is-selected'] - Class on the item under the cursor
+ * @returns {Object} { items, visibleItems, current, index, select, move, moveTo, moveRow, refresh, destroy }
+ */
+function createTuiList(element, options = {}) {
+    const {
+        items: itemSelector = '[data-tui-item]',
+        columns = 1,
+        wrap = true,
+        typeAhead = true,
+        keys = true,
+        getLabel = cleanText,
+        onSelect = null,
+        onActivate = activateTuiItem,
+        selectedClass = 'is-selected'
+    } = options;
+
+    let index = 0;
+    let typed = '';
+    let typedAt = 0;
+
+    const items = () => Array.from(element.querySelectorAll(itemSelector));
+    const isVisible = item => !item.closest('[hidden]');
+    const visibleItems = () => items().filter(isVisible);
+    const getColumns = () => columns === 'auto' ? countTuiColumns(visibleItems()) : columns;
+
+    /**
+     * Put the cursor on an item
+     * @param {number|Element} target - Index into items(), or the item
+     * @param {boolean} [focus=false] - Also move DOM focus there
+     */
+    function select(target, focus = false) {
+        const all = items();
+        if (all.length === 0) return;
+        const next = typeof target === 'number' ? target : all.indexOf(target);
+        if (next < 0) return;
+        index = Math.min(all.length - 1, next);
+
+        all.forEach((item, i) => {
+            item.classList.toggle(selectedClass, i === index);
+            item.tabIndex = i === index ? 0 : -1;
+            item.setAttribute('data-tui-item', '');
+        });
+
+        if (focus) all[index].focus();
+        if (onSelect) onSelect(all[index], index);
+    }
+
+    /**
+     * Step through the visible items
+     * @param {number} step - e.g. -1, 1, or a counted 3
+     * @param {boolean} [clamp=!wrap] - Stop at the ends rather than wrapping
+     */
+    function move(step, clamp = !wrap) {
+        const visible = visibleItems();
+        if (visible.length === 0) return;
+        const from = Math.max(0, visible.indexOf(items()[index]));
+        const to = clamp
+            ? Math.min(visible.length - 1, Math.max(0, from + step))
+            : ((from + step) % visible.length + visible.length) % visible.length;
+        select(visible[to], true);
+    }
+
+    /**
+     * Go to the nth visible item; out-of-range values go to the nearest end
+     * @param {number} at
+     */
+    function moveTo(at) {
+        const visible = visibleItems();
+        if (visible.length === 0) return;
+        select(visible[Math.min(visible.length - 1, Math.max(0, at))], true);
+    }
+
+    /**
+     * A row up or down in a grid; stays put at the top and bottom rows
+     * @param {number} step - -1 or 1
+     */
+    function moveRow(step) {
+        const visible = visibleItems();
+        const from = visible.indexOf(items()[index]);
+        const to = from + step * getColumns();
+        if (from !== -1 && to >= 0 && to < visible.length) select(visible[to], true);
+    }
+
+    /**
+     * Jump to the next item whose label starts with what has been typed
+     * @param {string} char
+     * @returns {boolean} Whether anything matched
+     */
+    function findTyped(char) {
+        const now = Date.now();
+        typed = now - typedAt > TUI_TYPEAHEAD_MS ? char : typed + char;
+        typedAt = now;
+
+        const visible = visibleItems();
+        const from = Math.max(0, visible.indexOf(items()[index]));
+        // A fresh letter looks past the current item, so repeating it cycles
+        const start = typed.length === 1 ? from + 1 : from;
+        const needle = typed.toLowerCase();
+
+        for (let i = 0; i < visible.length; i++) {
+            const item = visible[(start + i) % visible.length];
+            if (getLabel(item).toLowerCase().startsWith(needle)) {
+                select(item, true);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function onKeydown(e) {
+        if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.isComposing) return;
+        // Keys typed into a field inside a card are the field's
+        if (e.target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])')) return;
+
+        const grid = getColumns() > 1;
+        const key = e.key;
+
+        if (key === 'j' || key === 'ArrowDown') grid ? moveRow(1) : move(1);
+        else if (key === 'k' || key === 'ArrowUp') grid ? moveRow(-1) : move(-1);
+        else if (grid && (key === 'l' || key === 'ArrowRight')) move(1);
+        else if (grid && (key === 'h' || key === 'ArrowLeft')) move(-1);
+        else if (key === 'Home') moveTo(0);
+        else if (key === 'End') moveTo(Infinity);
+        else if (key === 'Enter') {
+            // Enter on a link inside a card is that link's
+            const item = items()[index];
+            if (item && e.target === item && onActivate) onActivate(item, index, e);
+            return; // onActivate decides whether the browser's Enter still happens
+        } else if (typeAhead && /^\S$/u.test(key) && /\p{L}|\p{N}/u.test(key)) {
+            if (!findTyped(key)) return;
+        } else return;
+
+        // Only now do we own the key, so ordinary scrolling is untouched
+        e.preventDefault();
+    }
+
+    // Focus (Tab, a click, a link inside a card) and the pointer move the cursor too
+    function onFocusin(e) {
+        const item = e.target.closest(itemSelector);
+        if (item && element.contains(item)) select(item);
+    }
+
+    function onPointer(e) {
+        const item = e.target.closest(itemSelector);
+        if (item && element.contains(item) && item !== items()[index]) select(item);
+    }
+
+    if (keys) element.addEventListener('keydown', onKeydown);
+    element.addEventListener('focusin', onFocusin);
+    element.addEventListener('mouseover', onPointer);
+
+    // Re-rendered items start out all tabbable; put them back to one stop
+    const observer = new MutationObserver(() => {
+        const all = items();
+        if (all.length === 0) return;
+        if (all.some(item => !item.hasAttribute('data-tui-item'))) select(Math.min(index, all.length - 1));
+    });
+    observer.observe(element, { childList: true, subtree: true });
+
+    element.setAttribute('data-tui-list', '');
+    select(0);
+
+    return {
+        items,
+        visibleItems,
+        current: () => items()[index],
+        index: () => index,
+        select,
+        move,
+        moveTo,
+        moveRow,
+        refresh: () => select(Math.min(index, Math.max(0, items().length - 1))),
+        destroy() {
+            observer.disconnect();
+            element.removeEventListener('keydown', onKeydown);
+            element.removeEventListener('focusin', onFocusin);
+            element.removeEventListener('mouseover', onPointer);
+            element.removeAttribute('data-tui-list');
+            items().forEach(item => {
+                item.classList.remove(selectedClass);
+                item.removeAttribute('tabindex');
+                item.removeAttribute('data-tui-item');
+            });
+        }
+    };
+}
+
+/**
+ * Apply createTuiList() to the card grids in TUI_LIST_TARGETS
+ */
+function initTuiLists() {
+    TUI_LIST_TARGETS.forEach(({ selector, ...options }) => {
+        const element = document.querySelector(selector);
+        if (element) createTuiList(element, options);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initTuiLists);
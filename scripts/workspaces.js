@@ -0,0 +1,219 @@
+/**
+ * ============================================================================
+ * WORKSPACES.JS - Tiling-WM keybindings for the status bar workspaces
+ * ============================================================================
+ *
+ * The status bar links carry data-ws="1..5" like bspwm workspaces; this makes
+ * the numbers work:
+ * - 1-5 or Alt+1-5   jump to that workspace
+ * - [ / ] or Alt+h/l previous / next section (every section[id], in order)
+ * - ?                the keybinds overlay, listing all of the above
+ *
+ * Scrolling goes through navigateToHash() in animations.js, so a keyboard
+ * jump lands, focuses and updates history exactly like a click on the link.
+ *
+ * The bindings stay out of the way: nothing fires while focus is in a text
+ * field, the contact TUI list (which has its own keys), or any open dialog or
+ * menu, and nothing fires with Ctrl or Cmd held.
+ *
+ * CUSTOMIZATION: SECTION_KEYS and the data-ws attributes in index.html.
+ *
+ * TO REMOVE: drop the <script> and <link> tags for this file and its
+ * stylesheet, and the #keybinds block in index.html. It needs
+ * scripts/dom.js and scripts/animations.js.
+ * ============================================================================
+ */
+
+/* Previous / next section: plain keys, and Alt + KeyboardEvent.code */
+const SECTION_KEYS = {
+    prev: { key: '[', altCode: 'KeyH', label: 'h' },
+    next: { key: ']', altCode: 'KeyL', label: 'l' }
+};
+
+/* Where focus means "the visitor is typing or in another widget" */
+const KEYBIND_EXEMPT = [
+    'input',
+    'textarea',
+    'select',
+    '[contenteditable]:not([contenteditable="false"])',
+    '.tui-list',
+    '[role="dialog"]',
+    '[role="menu"]'
+].join(', ');
+
+/**
+ * The workspace links, ordered by their data-ws number
+ * @returns {Array<Element>}
+ */
+function getWorkspaceLinks() {
+    return Array.from(document.querySelectorAll('.nav-link[data-ws]'))
+        .sort((a, b) => Number(a.dataset.ws) - Number(b.dataset.ws));
+}
+
+/**
+ * Jump to a workspace by its number
+ * @param {number} ws - A data-ws value
+ * @returns {boolean} Whether there was one
+ */
+function goToWorkspace(ws) {
+    const link = getWorkspaceLinks().find(el => Number(el.dataset.ws) === ws);
+    if (!link) return false;
+    return navigateToHash(link.getAttribute('href'), { push: true });
+}
+
+/**
+ * Move one section up or down from the one at the top of the viewport
+ * @param {number} step - -1 or +1
+ */
+function goToAdjacentSection(step) {
+    const sections = Array.from(document.querySelectorAll('section[id]'));
+    if (sections.length === 0) return;
+
+    // The current section is the last one whose top has reached the status bar
+    const navHeight = document.querySelector('.nav')?.offsetHeight || 0;
+    let current = 0;
+    sections.forEach((section, i) => {
+        if (section.getBoundingClientRect().top - navHeight <= 1) current = i;
+    });
+
+    const next = Math.min(sections.length - 1, Math.max(0, current + step));
+    if (next !== current) navigateToHash('#' + sections[next].id, { push: true });
+}
+
+/**
+ * Build a <kbd> chord, e.g. ['Alt', '1'] -> <kbd><kbd>Alt</kbd>+<kbd>1</kbd></kbd>
+ * @param {...string} keys
+ * @returns {Element}
+ */
+function renderChord(...keys) {
+    const chord = createEl('kbd', { class: 'keybind-chord' });
+    keys.forEach((key, i) => {
+        if (i > 0) chord.append('+');
+        chord.append(createEl('kbd', {}, key));
+    });
+    return chord;
+}
+
+/**
+ * Fill the overlay's list from the live workspace links, so it can never
+ * disagree with what the keys do
+ * @param {Element} list - The overlay's <dl>
+ */
+function renderKeybindList(list) {
+    const row = (chords, action) => createEl('div', { class: 'keybind-row' },
+        createEl('dt', {}, ...chords.flatMap((chord, i) => i > 0 ? [' or ', chord] : [chord])),
+        createEl('dd', {}, action)
+    );
+
+    const rows = getWorkspaceLinks().map(link => row(
+        [renderChord(link.dataset.ws), renderChord('Alt', link.dataset.ws)],
+        link.textContent.trim()
+    ));
+
+    rows.push(
+        row([renderChord(SECTION_KEYS.prev.key), renderChord('Alt', SECTION_KEYS.prev.label)], 'previous section'),
+        row([renderChord(SECTION_KEYS.next.key), renderChord('Alt', SECTION_KEYS.next.label)], 'next section'),
+        row([renderChord('?')], 'show / hide keybinds'),
+        // Only when tui-list.js has made some card grids navigable
+        document.querySelector('[data-tui-list]')
+            ? row([renderChord('h'), renderChord('j'), renderChord('k'), renderChord('l')], 'move between cards, once one has focus')
+            : null,
+        // Only when command-palette.js is on the page
+        document.getElementById('palette') ? row([renderChord('Ctrl', 'K'), renderChord('/')], 'search the page') : null,
+        row([renderChord('Esc')], 'close')
+    );
+
+    list.replaceChildren(...rows.filter(Boolean));
+}
+
+/**
+ * Wire the keybinds overlay
+ * @param {Element} overlay - #keybinds
+ * @returns {Object} { open, close, isOpen }
+ */
+function initKeybindsOverlay(overlay) {
+    const panel = overlay.querySelector('.keybinds-panel');
+    const list = overlay.querySelector('.keybinds-list');
+    const closeButton = overlay.querySelector('.keybinds-close');
+    let returnFocus = null;
+
+    function open() {
+        renderKeybindList(list);
+        returnFocus = document.activeElement;
+        overlay.hidden = false;
+        closeButton.focus();
+    }
+
+    function close() {
+        if (overlay.hidden) return;
+        overlay.hidden = true;
+        if (returnFocus && returnFocus.isConnected && returnFocus !== document.body) returnFocus.focus();
+        returnFocus = null;
+    }
+
+    closeButton.addEventListener('click', close);
+
+    // The backdrop is the overlay element itself; the panel stops short of it
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' || e.key === '?') {
+            e.preventDefault();
+            close();
+        } else if (e.key === 'Tab') {
+            // The close button is the only stop; keep focus on it
+            e.preventDefault();
+            closeButton.focus();
+        }
+    });
+
+    return { open, close, isOpen: () => !overlay.hidden };
+}
+
+/**
+ * Initialize the workspace keybindings
+ */
+function initWorkspaces() {
+    const links = getWorkspaceLinks();
+    if (links.length === 0) return;
+
+    // Advertise the shortcuts to assistive tech on the links themselves
+    links.forEach(link => {
+        link.setAttribute('aria-keyshortcuts', `${link.dataset.ws} Alt+${link.dataset.ws}`);
+    });
+
+    const overlayEl = document.getElementById('keybinds');
+    const overlay = overlayEl ? initKeybindsOverlay(overlayEl) : null;
+
+    document.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.isComposing) return;
+        if (e.target instanceof Element && e.target.closest(KEYBIND_EXEMPT)) return;
+
+        let handled = false;
+
+        if (e.altKey) {
+            // Alt changes e.key on some layouts (Alt+1 is ¡ on a Mac); use the physical key
+            const digit = /^Digit(\d)$/.exec(e.code);
+            if (digit) handled = goToWorkspace(Number(digit[1]));
+            else if (e.code === SECTION_KEYS.prev.altCode) { goToAdjacentSection(-1); handled = true; }
+            else if (e.code === SECTION_KEYS.next.altCode) { goToAdjacentSection(1); handled = true; }
+        } else if (/^\d$/.test(e.key)) {
+            handled = goToWorkspace(Number(e.key));
+        } else if (e.key === SECTION_KEYS.prev.key) {
+            goToAdjacentSection(-1);
+            handled = true;
+        } else if (e.key === SECTION_KEYS.next.key) {
+            goToAdjacentSection(1);
+            handled = true;
+        } else if (e.key === '?' && overlay) {
+            overlay.open();
+            handled = true;
+        }
+
+        if (handled) e.preventDefault();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initWorkspaces);
@@ -0,0 +1,198 @@
+/**
+ * ============================================================================
+ * SW.JS - Service worker: offline shell and cached GitHub data
+ * ============================================================================
+ *
+ * Lives at the site root so its scope covers the whole site. Registered (and,
+ * if need be, unregistered) by initServiceWorker() in scripts/main.js.
+ *
+ * STRATEGIES:
+ * - The page and its own files: network first. Online, every load gets the
+ *   deployed markup, styles and scripts, so nothing depends on remembering to
+ *   bump a version. Each good response refreshes the static cache, which
+ *   answers instead when the network fails, so offline the last release seen
+ *   is served. Pages other than index.html go to the network untouched.
+ * - api.github.com: network first; successful responses are kept, and served
+ *   when the network fails. Each fallback is reported to the page, which shows
+ *   the "offline" module in the status bar. This cache has its own version,
+ *   API_CACHE_VERSION, so shipping new styles and scripts keeps the offline
+ *   GitHub data.
+ * - Anything else cross-origin (README images, say) is left to the browser.
+ *
+ * UPDATING: add new files to PRECACHE_URLS and bump SW_VERSION, so the new
+ * worker fetches them at install and a first offline visit has them. The new
+ * worker takes over at once and deletes the previous version's static cache.
+ * Changed files need no bump: online loads fetch them anyway. Bump
+ * API_CACHE_VERSION only if the shape of what is cached from the API changes.
+ *
+ * TO REMOVE: set SERVICE_WORKER_ENABLED to false in scripts/main.js and deploy
+ * that first; it unregisters the worker and clears its caches for returning
+ * visitors. This file can be deleted once they have had time to pick it up.
+ * ============================================================================
+ */
+
+const SW_VERSION = 'v13';
+const API_CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'portfolio-';
+const STATIC_CACHE = `${CACHE_PREFIX}static-${SW_VERSION}`;
+const API_CACHE = `${CACHE_PREFIX}github-${API_CACHE_VERSION}`;
+const API_ORIGIN = 'https://api.github.com';
+
+/* Everything the page needs to render offline. Keep in step with the <link>
+   and <script> tags in index.html. */
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles/fonts.css',
+    'styles/themes.css',
+    'styles/main.css',
+    'styles/components.css',
+    'styles/components-extended.css',
+    'styles/animations.css',
+    'styles/accents.css',
+    'styles/tui-list.css',
+    'styles/contact-tui.css',
+    'styles/repo-readme.css',
+    'styles/theme-customiser.css',
+    'styles/workspaces.css',
+    'styles/command-palette.css',
+    'styles/hero-shell.css',
+    'scripts/dom.js',
+    'scripts/particles.js',
+    'scripts/theme-toggle.js',
+    'scripts/theme-customiser.js',
+    'scripts/github-client.js',
+    'scripts/github-api.js',
+    'scripts/github-stats.js',
+    'scripts/repo-languages.js',
+    'scripts/repo-readme.js',
+    'scripts/github-activity.js',
+    'scripts/animations.js',
+    'scripts/workspaces.js',
+    'scripts/command-palette.js',
+    'scripts/hero-shell.js',
+    'scripts/accents.js',
+    'scripts/tui-list.js',
+    'scripts/qr-code.js',
+    'scripts/contact-tui.js',
+    'scripts/main.js',
+    'assets/fonts/anton-latin-400.woff2',
+    'assets/fonts/cormorant-garamond-latin-600.woff2',
+    'assets/fonts/inter-latin-var.woff2',
+    'assets/fonts/jetbrains-mono-latin-var.woff2',
+    'assets/images/Andrew%20Linkedin.jpeg',
+    'assets/data/repos.snapshot.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            // Past the HTTP cache, which could still hold the previous release
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+            // Versioned caches cannot clash, so there is no reason to wait
+            // for old tabs to close before taking over
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== STATIC_CACHE && key !== API_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Tell the page that asked whether its GitHub data is live or from the cache
+ * @param {FetchEvent} event
+ * @param {boolean} fromCache
+ */
+async function reportApiSource(event, fromCache) {
+    const client = event.clientId ? await self.clients.get(event.clientId) : null;
+    if (client) client.postMessage({ type: 'github-api', fromCache });
+}
+
+/**
+ * Network first for the GitHub API, falling back to the last good response
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function githubNetworkFirst(event) {
+    const cache = await caches.open(API_CACHE);
+
+    try {
+        const response = await fetch(event.request);
+        // Only full answers are worth keeping; a 304 has no body to replay
+        if (response.status === 200) cache.put(event.request, response.clone());
+        reportApiSource(event, false);
+        return response;
+    } catch (error) {
+        const cached = await cache.match(event.request, { ignoreVary: true });
+        if (!cached) throw error;
+
+        reportApiSource(event, true);
+
+        // The stored rate-limit headers describe a window that has long
+        // moved on; do not let githubFetch() budget against them
+        const headers = new Headers(cached.headers);
+        ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Used']
+            .forEach(name => headers.delete(name));
+        headers.set('X-SW-Cache', 'fallback');
+
+        return new Response(await cached.blob(), {
+            status: cached.status,
+            statusText: cached.statusText,
+            headers
+        });
+    }
+}
+
+/**
+ * Network first for the site's own files, keeping the static cache current
+ * and falling back on it offline
+ * @param {Request} request
+ * @param {Request|string} [cacheKey=request] - Where it is kept in the cache
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheKey = request) {
+    const cache = await caches.open(STATIC_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(cacheKey, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey, { ignoreSearch: true });
+        if (!cached) throw error;
+        return cached;
+    }
+}
+
+/**
+ * Whether a navigation is for the page itself, in any of its spellings
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isShellPage(url) {
+    const scope = new URL(self.registration.scope);
+    return url.origin === scope.origin &&
+        (url.pathname === scope.pathname || url.pathname === `${scope.pathname}index.html`);
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === API_ORIGIN) {
+        event.respondWith(githubNetworkFirst(event));
+    } else if (request.mode === 'navigate') {
+        if (isShellPage(url)) event.respondWith(networkFirst(request, 'index.html'));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
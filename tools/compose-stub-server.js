@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * COMPOSE-STUB-SERVER.JS - Local stand-in for the contact form's endpoint
+ * ============================================================================
+ *
+ * The contact TUI's compose mode POSTs JSON to the form's data-endpoint when
+ * one is set. This accepts those requests and prints each message, so the
+ * POST path can be tried without a real backend.
+ *
+ * USAGE (no dependencies, any recent Node):
+ *
+ *   node tools/compose-stub-server.js [--port 8787] [--fail]
+ *
+ * then set data-endpoint="http://localhost:8787/contact" on .tui-compose in
+ * index.html. --fail answers every message with a 503, to see how the form
+ * reports a failed send.
+ *
+ * It checks the same four fields the form sends ({ name, replyTo, subject,
+ * body }) and answers 201 { ok: true }, or 400 { ok: false, error }. CORS is
+ * open, since the page is usually served from another port.
+ *
+ * Not used at runtime; the site itself has no backend.
+ * ============================================================================
+ */
+
+const http = require('http');
+
+const FIELDS = ['name', 'replyTo', 'subject', 'body'];
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * Read an option's value from the command line
+ * @param {string} name - e.g. '--port'
+ * @returns {string|undefined}
+ */
+function readOption(name) {
+    const at = process.argv.indexOf(name);
+    return at === -1 ? undefined : process.argv[at + 1];
+}
+
+/**
+ * Answer with JSON
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * What is wrong with a message, if anything
+ * @param {*} message - The parsed request body
+ * @returns {string|null}
+ */
+function checkMessage(message) {
+    if (!message || typeof message !== 'object') return 'expected a JSON object';
+    const missing = FIELDS.filter(field => typeof message[field] !== 'string' || !message[field].trim());
+    return missing.length > 0 ? `missing: ${missing.join(', ')}` : null;
+}
+
+function main() {
+    const port = Number(readOption('--port')) || 8787;
+    const fail = process.argv.includes('--fail');
+
+    const server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST' || req.url !== '/contact') {
+            sendJson(res, 404, { ok: false, error: 'POST /contact only' });
+            return;
+        }
+
+        let raw = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            raw += chunk;
+            if (Buffer.byteLength(raw) > MAX_BODY_BYTES) {
+                sendJson(res, 413, { ok: false, error: 'message too large' });
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (res.writableEnded) return;
+            if (fail) {
+                sendJson(res, 503, { ok: false, error: 'failing on purpose (--fail)' });
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                sendJson(res, 400, { ok: false, error: 'invalid JSON' });
+                return;
+            }
+
+            const error = checkMessage(message);
+            if (error) {
+                sendJson(res, 400, { ok: false, error });
+                return;
+            }
+
+            console.log(`\n--- ${new Date().toISOString()} ---`);
+            console.log(`From:    ${message.name} <${message.replyTo}>`);
+            console.log(`Subject: ${message.subject}\n`);
+            console.log(message.body);
+            sendJson(res, 201, { ok: true });
+        });
+    });
+
+    server.listen(port, () => {
+        console.log(`Compose stub listening on http://localhost:${port}/contact${fail ? ' (--fail)' : ''}`);
+    });
+}
+
+main();
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * SNAPSHOT-REPOS.JS - Regenerate assets/data/repos.snapshot.json
+ * ============================================================================
+ *
+ * github-api.js falls back on a bundled snapshot of the repo list when the
+ * API is unreachable or rate limited, and seeds the localStorage cache from it
+ * on a first visit. This turns a saved API response into that snapshot.
+ *
+ * USAGE (no dependencies, any recent Node):
+ *
+ *   curl -s "https://api.github.com/users/AndyFerns/repos?per_page=100&page=1&type=public" > page1.json
+ *   node tools/snapshot-repos.js page1.json [page2.json ...]
+ *
+ * Each input is one page of the API response (a JSON array). Repos are cut
+ * down to the fields the site reads, which keeps the file a few KB instead of
+ * a few hundred. "Data as of" is the newest input file's modification time,
+ * i.e. when the response was saved, not when this script ran.
+ *
+ * Not used at runtime; the site itself has no build step.
+ * ============================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT = path.join(__dirname, '..', 'assets', 'data', 'repos.snapshot.json');
+
+/* Everything github-api.js and the modules fed from it read off a repo */
+const SNAPSHOT_FIELDS = [
+    'name',
+    'full_name',
+    'html_url',
+    'description',
+    'homepage',
+    'language',
+    'languages_url',
+    'topics',
+    'stargazers_count',
+    'forks_count',
+    'fork',
+    'archived',
+    'license',
+    'default_branch',
+    'created_at',
+    'updated_at',
+    'pushed_at'
+];
+
+/**
+ * Keep only the fields the site uses
+ * @param {Object} repo - Repository object from the GitHub API
+ * @returns {Object} Trimmed repository
+ */
+function trimRepo(repo) {
+    const trimmed = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+        if (field in repo) trimmed[field] = repo[field];
+    });
+    // The license object carries URLs we never show; the name is enough
+    if (repo.license) {
+        trimmed.license = { spdx_id: repo.license.spdx_id, name: repo.license.name };
+    }
+    return trimmed;
+}
+
+function main() {
+    const inputs = process.argv.slice(2);
+    if (inputs.length === 0) {
+        console.error('Usage: node tools/snapshot-repos.js <page1.json> [page2.json ...]');
+        process.exit(1);
+    }
+
+    let repos = [];
+    let savedAt = 0;
+
+    inputs.forEach(file => {
+        const page = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!Array.isArray(page)) {
+            console.error(`${file}: expected a JSON array of repositories (is it an API error response?)`);
+            process.exit(1);
+        }
+        repos = repos.concat(page.map(trimRepo));
+        savedAt = Math.max(savedAt, fs.statSync(file).mtimeMs);
+    });
+
+    if (repos.length === 0) {
+        console.error('No repositories in the input; the site would ignore this snapshot');
+        process.exit(1);
+    }
+
+    const snapshot = {
+        generated_at: new Date(savedAt).toISOString(),
+        repos
+    };
+
+    fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+    fs.writeFileSync(OUTPUT, JSON.stringify(snapshot, null, 2) + '\n');
+    console.log(`Wrote ${repos.length} repositories to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+main();